@@ -0,0 +1,66 @@
+import { supabase } from './modules/supabaseClient.js';
+import { redirectAfterSignIn, withReturnTo } from './modules/Session.js';
+
+// Si el enlace no abre una sesión en este tiempo, lo damos por inválido.
+const CALLBACK_TIMEOUT = 5000;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const callbackMessage = document.getElementById('callback-message');
+  const searchParams = new URLSearchParams(window.location.search);
+  const hashParams = new URLSearchParams(window.location.hash.slice(1));
+  let invalidLinkTimer = null;
+
+  const showInvalidLink = (description) => {
+    clearTimeout(invalidLinkTimer);
+    // La descripción viene de la URL, así que se inserta como texto.
+    callbackMessage.textContent = description || 'El enlace no es válido o ya expiró.';
+    callbackMessage.insertAdjacentHTML('beforeend',
+      `<br><a href="${withReturnTo('login.html')}" class="auth-link">Volver al inicio de sesión</a>`);
+  };
+
+  // Supabase indica en la URL los enlaces caducados o ya usados.
+  const errorParams = hashParams.get('error') ? hashParams : searchParams;
+  if (errorParams.get('error')) {
+    showInvalidLink(errorParams.get('error_code') === 'otp_expired'
+      ? 'El enlace ya expiró o ya se usó.'
+      : errorParams.get('error_description'));
+    return;
+  }
+
+  // Plantillas de correo que envían `token_hash` en lugar del enlace de Supabase.
+  const tokenHash = searchParams.get('token_hash');
+  if (tokenHash) {
+    const { error } = await supabase.auth.verifyOtp({
+      token_hash: tokenHash,
+      type: searchParams.get('type') || 'email'
+    });
+    if (error) {
+      showInvalidLink(error.message);
+      return;
+    }
+    redirectAfterSignIn();
+    return;
+  }
+
+  // Proyectos con flujo PKCE: el enlace trae un `code` que se cambia por la sesión.
+  const code = searchParams.get('code');
+  if (code) {
+    const { error } = await supabase.auth.exchangeCodeForSession(code);
+    if (error) {
+      showInvalidLink(error.message);
+      return;
+    }
+    redirectAfterSignIn();
+    return;
+  }
+
+  // Flujo implícito: supabase-js lee el token del hash y abre la sesión.
+  invalidLinkTimer = setTimeout(() => showInvalidLink(), CALLBACK_TIMEOUT);
+  supabase.auth.onAuthStateChange((event, session) => {
+    if (session && (event === 'SIGNED_IN' || event === 'INITIAL_SESSION')) {
+      clearTimeout(invalidLinkTimer);
+      callbackMessage.textContent = '¡Sesión iniciada! Entrando...';
+      redirectAfterSignIn();
+    }
+  });
+});
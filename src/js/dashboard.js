@@ -1,22 +1,240 @@
+import { isAuthError } from '@supabase/supabase-js';
 import { supabase } from './modules/supabaseClient.js';
+import {
+  STOCK_MOVEMENT_REASONS,
+  recordStockMovement,
+  fetchStockMovements,
+  reconcileProductStock,
+  sumStockMovements
+} from './modules/StockLedger.js';
+import {
+  fetchCategoryThresholds,
+  saveCategoryThreshold,
+  getMinStock,
+  isLowStock,
+  fetchRestockList
+} from './modules/StockAlerts.js';
+import { createDefaultFilters } from './modules/InventoryFilters.js';
+import {
+  fetchProductsPage,
+  fetchAllProducts,
+  fetchExistingProductNames,
+  fetchProductCategories,
+  fetchInventoryValuation,
+  getPageCacheKey
+} from './modules/ProductQueries.js';
+import { subscribeToProductChanges } from './modules/InventoryRealtime.js';
+import { validateProductInput, parseDecimal } from './modules/ProductValidation.js';
+import { formatCOP, calculateMargin } from './modules/Pricing.js';
+import {
+  validateImageFile,
+  uploadProductImage,
+  removeProductImage,
+  getProductImageUrl
+} from './modules/ProductImages.js';
+import {
+  fetchCategories,
+  createCategory,
+  renameCategory,
+  deleteCategory,
+  mergeCategories,
+  validateCategoryName,
+  findCategory,
+  findSimilarCategories,
+  findDuplicateCategories
+} from './modules/Categories.js';
+import { fetchStockByCategory, fetchProductsAddedByMonth, fetchStockMovementTrend } from './modules/Analytics.js';
+import { createHorizontalBarChart, createColumnChart, createLineChart } from './modules/SvgCharts.js';
+import {
+  savePageSnapshot,
+  loadPageSnapshot,
+  getPendingChanges,
+  saveProfile,
+  loadProfile
+} from './modules/OfflineStore.js';
+import {
+  isOfflineError,
+  queueProductInsert,
+  queueProductDelete,
+  replayPendingChanges,
+  resolveConflict
+} from './modules/OfflineQueue.js';
+import {
+  ROLES,
+  hasPermission,
+  fetchCurrentProfile,
+  fetchProfiles,
+  updateUserRole,
+  inviteUser
+} from './modules/Roles.js';
+import { requireSession, signOut } from './modules/Session.js';
+import {
+  MESSAGE_STATUSES,
+  fetchContactMessages,
+  fetchUnreadCount,
+  updateMessageStatus,
+  archiveMessage,
+  subscribeToContactMessages
+} from './modules/ContactMessages.js';
+import {
+  ORDER_STATUSES,
+  fetchOrders,
+  fetchNewOrdersCount,
+  updateOrderStatus,
+  calculateOrderTotal,
+  getPickupDateRange,
+  subscribeToOrders
+} from './modules/Orders.js';
+import { changePassword } from './modules/Auth.js';
+import { getAuthErrorMessage } from './modules/AuthErrors.js';
+import { updateStrengthMeter } from './modules/PasswordStrength.js';
+import {
+  IMPORT_FIELDS,
+  productsToCsv,
+  productsToJson,
+  downloadFile,
+  parseCsv,
+  guessColumnMapping,
+  validateImportRows,
+  unescapeCsvValue,
+  importProducts
+} from './modules/InventoryTransfer.js';
+import { BULK_ACTIONS, runBulkAction } from './modules/BulkActions.js';
+import {
+  softDeleteProducts,
+  restoreProducts,
+  permanentlyDeleteProducts,
+  fetchDeletedProducts
+} from './modules/ProductTrash.js';
+import { AUDIT_ACTIONS, AUDIT_FIELD_LABELS, fetchAuditLog, fetchAuditUsers } from './modules/AuditLog.js';
 
 // -----------------------------------------------------------------------------
 // --- 1. DECLARACIÓN DE VARIABLES Y ELEMENTOS DEL DOM ---
 // -----------------------------------------------------------------------------
 
-// Almacenará la lista completa de productos para poder filtrar sobre ella.
-let allProducts = [];
-let filteredProducts = []; // Productos después de aplicar filtros
+// Productos de la página actual, tal como los devuelve el servidor (ya filtrados y ordenados).
+let pageProducts = [];
+let totalProducts = 0; // Total de productos que cumplen los filtros, según el servidor.
 let currentPage = 1;
 const itemsPerPage = 15;
+// Caché de páginas ya visitadas (`filtros + página -> { products, count }`).
+const pageCache = new Map();
+// Valoración del inventario filtrado (`filtros -> totales`); se invalida junto con `pageCache`.
+const valuationCache = new Map();
+// Número de la última consulta de página, para descartar respuestas que lleguen tarde.
+let latestPageRequest = 0;
+// Espera tras la última tecla antes de lanzar la búsqueda en el servidor.
+const searchDebounceDelay = 300;
+let searchDebounceTimer = null;
+// Categorías del inventario con su número de productos.
+let productCategories = [];
+// Productos por debajo de su mínimo, del más urgente al menos urgente.
+let restockItems = [];
+// Cancela la suscripción en tiempo real a los cambios de `products`.
+let unsubscribeFromProducts = null;
+// Cancela la suscripción en tiempo real a los mensajes de contacto.
+let unsubscribeFromMessages = null;
+// Cancela la suscripción en tiempo real a los pedidos.
+let unsubscribeFromOrders = null;
+// Agrupa los cambios remotos que llegan seguidos en una sola recarga.
+const realtimeSyncDelay = 500;
+let realtimeSyncTimer = null;
+// IDs de los productos que se están editando en este momento.
+const editingProductIds = new Set();
+// IDs de los productos marcados para acciones en lote (se conservan al cambiar de página).
+let selectedProductIds = new Set();
+// Filtros y orden activos sobre el inventario (búsqueda, categorías, rango de stock).
+let inventoryFilters = createDefaultFilters();
+// Mínimos de stock por defecto de cada categoría (`categoría -> mínimo`).
+let categoryThresholds = {};
+// Categorías administradas (`{ id, name }`), ordenadas por nombre.
+let managedCategories = [];
+// Grupos de categorías que parecen duplicadas, tal como se muestran en el diálogo.
+let duplicateCategoryGroups = [];
+// `true` si la última consulta falló por falta de conexión (aunque el navegador crea estar en línea).
+let isOffline = !navigator.onLine;
+// Evita lanzar dos sincronizaciones de cambios pendientes a la vez.
+let isSyncing = false;
+// Perfil del usuario de la sesión; sin perfil, el dashboard queda en solo lectura.
+let currentProfile = null;
 
 // Elementos del DOM que usaremos repetidamente.
 const productListContainer = document.getElementById('product-list-container');
 const searchBar = document.getElementById('search-bar');
+const filtersForm = document.getElementById('inventory-filters-form');
+const categoryFiltersContainer = document.getElementById('category-filters');
 const addProductForm = document.getElementById('add-product-form');
 const logoutButton = document.getElementById('logout-button');
 const listMessage = document.getElementById('list-message');
 const addMessage = document.getElementById('add-message');
+const stockDialog = document.getElementById('stock-dialog');
+const stockMovementForm = document.getElementById('stock-movement-form');
+const stockMovementMessage = document.getElementById('stock-movement-message');
+const stockHistoryContainer = document.getElementById('stock-history-container');
+const restockPanel = document.getElementById('restock-panel');
+const restockList = document.getElementById('restock-list');
+const categoryThresholdsForm = document.getElementById('category-thresholds-form');
+const categoryThresholdsMessage = document.getElementById('category-thresholds-message');
+
+const exportMessage = document.getElementById('export-message');
+const importFileInput = document.getElementById('import-file');
+const importDialog = document.getElementById('import-dialog');
+const importMappingForm = document.getElementById('import-mapping-form');
+const importPreviewContainer = document.getElementById('import-preview-container');
+const importMessage = document.getElementById('import-message');
+const bulkActionsBar = document.getElementById('bulk-actions-bar');
+const bulkActionForm = document.getElementById('bulk-action-form');
+const bulkActionMessage = document.getElementById('bulk-action-message');
+const bulkProgress = document.getElementById('bulk-progress');
+const selectPageCheckbox = document.getElementById('select-page-checkbox');
+const trashDialog = document.getElementById('trash-dialog');
+const trashListContainer = document.getElementById('trash-list-container');
+const trashMessage = document.getElementById('trash-message');
+const categoriesDialog = document.getElementById('categories-dialog');
+const categoriesListContainer = document.getElementById('categories-list-container');
+const categoriesMessage = document.getElementById('categories-message');
+const createCategoryForm = document.getElementById('create-category-form');
+const categoryOptions = document.getElementById('category-options');
+const analyticsDialog = document.getElementById('analytics-dialog');
+const analyticsMessage = document.getElementById('analytics-message');
+const analyticsSummary = document.getElementById('analytics-summary');
+const syncStatusButton = document.getElementById('sync-status');
+const syncDialog = document.getElementById('sync-dialog');
+const syncMessage = document.getElementById('sync-message');
+const pendingChangesContainer = document.getElementById('pending-changes-container');
+const usersDialog = document.getElementById('users-dialog');
+const usersMessage = document.getElementById('users-message');
+const usersListContainer = document.getElementById('users-list-container');
+const inviteUserForm = document.getElementById('invite-user-form');
+const inboxDialog = document.getElementById('inbox-dialog');
+const inboxFiltersForm = document.getElementById('inbox-filters-form');
+const inboxMessage = document.getElementById('inbox-message');
+const inboxListContainer = document.getElementById('inbox-list-container');
+const unreadMessagesBadge = document.getElementById('unread-messages-badge');
+const ordersDialog = document.getElementById('orders-dialog');
+const ordersFiltersForm = document.getElementById('orders-filters-form');
+const ordersMessage = document.getElementById('orders-message');
+const ordersListContainer = document.getElementById('orders-list-container');
+const newOrdersBadge = document.getElementById('new-orders-badge');
+const passwordDialog = document.getElementById('password-dialog');
+const changePasswordForm = document.getElementById('change-password-form');
+const changePasswordMessage = document.getElementById('change-password-message');
+const toastContainer = document.getElementById('toast-container');
+const auditDialog = document.getElementById('audit-dialog');
+const auditFiltersForm = document.getElementById('audit-filters-form');
+const auditListContainer = document.getElementById('audit-list-container');
+const loadMoreAuditButton = document.getElementById('load-more-audit-button');
+
+// Tiempo durante el que se puede deshacer un envío a la papelera.
+const undoDelay = 8000;
+// Registros de auditoría por página y página cargada hasta ahora.
+const auditPageSize = 50;
+let auditPage = 1;
+
+// Producto cuyo historial de movimientos está abierto en el diálogo.
+let stockDialogProductId = null;
+// Estado de la importación en curso: CSV leído y vista previa validada.
+let importState = { headers: [], rows: [], preview: [] };
 
 // -----------------------------------------------------------------------------
 // --- 2. LÓGICA PRINCIPAL Y VERIFICACIÓN DE SESIÓN ---
@@ -24,18 +242,36 @@ const addMessage = document.getElementById('add-message');
 
 // Este evento se dispara cuando el HTML ha sido completamente cargado.
 document.addEventListener('DOMContentLoaded', async () => {
-  // Verificamos si hay una sesión de usuario activa.
-  const { data: { session } } = await supabase.auth.getSession();
+  // Verificamos si hay una sesión de usuario activa. Si no la hay (o se cierra
+  // más tarde, también desde otra pestaña), el módulo de sesión nos lleva al login.
+  const session = await requireSession({
+    onSignedOut: () => {
+      unsubscribeFromProducts?.();
+      unsubscribeFromMessages?.();
+      unsubscribeFromOrders?.();
+    }
+  });
 
-  if (!session) {
-    // Si no hay sesión, el usuario no está autenticado.
-    // Lo redirigimos a la página de inicio de sesión.
-    window.location.href = 'login.html';
-  } else {
+  if (session) {
     // Si hay una sesión, el usuario está autenticado.
     console.log('✅ Usuario autenticado:', session.user.email);
+    // El rol decide qué acciones se muestran, así que se carga antes que la lista.
+    await loadCurrentProfile(session.user.id);
     // Procedemos a cargar y mostrar los productos del inventario.
     await fetchAndDisplayProducts();
+    // Y escuchamos los cambios que hagan otros usuarios en sus pantallas.
+    unsubscribeFromProducts = subscribeToProductChanges(handleRemoteProductChange);
+    // La bandeja de mensajes solo existe para quien puede gestionarlos.
+    if (can('messages:manage')) {
+      await loadUnreadCount();
+      unsubscribeFromMessages = subscribeToContactMessages(handleRemoteMessageChange);
+    }
+    if (can('orders:manage')) {
+      await loadNewOrdersCount();
+      unsubscribeFromOrders = subscribeToOrders(handleRemoteOrderChange);
+    }
+    // Si quedaron cambios hechos sin conexión en una visita anterior, los enviamos.
+    await syncPendingChanges();
   }
 });
 
@@ -44,16 +280,65 @@ document.addEventListener('DOMContentLoaded', async () => {
 // -----------------------------------------------------------------------------
 
 /**
- * Carga todos los productos desde la base de datos de Supabase.
+ * Recarga el inventario desde Supabase: descarta la caché de páginas, actualiza
+ * los paneles laterales y vuelve a consultar la página actual.
  */
 const fetchAndDisplayProducts = async () => {
   listMessage.textContent = 'Cargando inventario... 🥖';
+  pageCache.clear();
+  valuationCache.clear();
 
-  // Hacemos la petición a la tabla 'products' de Supabase.
-  const { data, error } = await supabase
-    .from('products')
-    .select('*')
-    .order('created_at', { ascending: false }); // Ordena para ver los más nuevos primero.
+  // Los mínimos por categoría se necesitan para marcar el stock bajo en las tarjetas.
+  const [{ data: thresholds, error: thresholdsError }] = await Promise.all([
+    fetchCategoryThresholds(),
+    refreshSidePanels()
+  ]);
+
+  if (thresholdsError) {
+    // Sin los mínimos por categoría seguimos usando los del producto o el global.
+    console.error('Error al cargar los mínimos por categoría:', thresholdsError);
+  } else {
+    categoryThresholds = thresholds;
+  }
+
+  await loadPage(currentPage);
+};
+
+/**
+ * Muestra una página del inventario, desde la caché si ya se visitó con los
+ * mismos filtros o consultándola al servidor.
+ * @param {number} page - La página a mostrar.
+ * @param {{silent?: boolean}} [options] - `silent` evita mostrar el mensaje de carga.
+ */
+const loadPage = async (page, { silent = false } = {}) => {
+  const requestId = ++latestPageRequest;
+  const cacheKey = getPageCacheKey(inventoryFilters, page);
+  const cachedPage = pageCache.get(cacheKey);
+
+  if (cachedPage) {
+    showPage(page, cachedPage.products, cachedPage.count, silent);
+    return;
+  }
+
+  if (!silent) {
+    listMessage.textContent = 'Cargando inventario... 🥖';
+  }
+  const { data, count, error } = await fetchProductsPage(inventoryFilters, page, itemsPerPage);
+
+  // Si mientras tanto se pidió otra página (u otros filtros), ignoramos esta respuesta.
+  if (requestId !== latestPageRequest) return;
+
+  // PGRST103: la página pedida ya no existe (por ejemplo, tras eliminar el último
+  // producto de la última página). Retrocedemos una página.
+  if (error && error.code === 'PGRST103' && page > 1) {
+    await loadPage(page - 1, { silent });
+    return;
+  }
+
+  if (error && isOfflineError(error)) {
+    await showOfflinePage(page, cacheKey);
+    return;
+  }
 
   if (error) {
     console.error('Error al cargar los productos:', error);
@@ -61,26 +346,147 @@ const fetchAndDisplayProducts = async () => {
     return;
   }
 
-  // Guardamos la lista completa en nuestra variable global.
-  allProducts = data;
-  filteredProducts = data; // Inicialmente, los productos filtrados son todos
-  currentPage = 1; // Reiniciamos a la primera página
-  // Renderizamos los productos con paginación.
+  setOffline(false);
+  pageCache.set(cacheKey, { products: data, count });
+  savePageSnapshot(cacheKey, { products: data, count });
+  showPage(page, data, count, silent);
+};
+
+/**
+ * Guarda la página recibida como la actual y la renderiza.
+ */
+const showPage = (page, products, count, silent = false) => {
+  currentPage = page;
+  pageProducts = products;
+  totalProducts = count;
   renderProductsWithPagination();
-  listMessage.textContent = ''; // Limpiamos el mensaje de carga.
+  if (!silent) {
+    listMessage.textContent = ''; // Limpiamos el mensaje de carga.
+  }
+  loadValuation();
+};
+
+/**
+ * Obtiene la valoración de todos los productos filtrados (no solo los de la
+ * página) y la muestra sobre los controles de paginación.
+ */
+const loadValuation = async () => {
+  // La valoración no depende de la página, así que se guarda con la clave de la primera.
+  const cacheKey = getPageCacheKey(inventoryFilters, 1);
+
+  if (!valuationCache.has(cacheKey)) {
+    const { data, error } = await fetchInventoryValuation(inventoryFilters);
+    if (error) {
+      console.error('Error al calcular la valoración del inventario:', error);
+      return;
+    }
+    valuationCache.set(cacheKey, data);
+  }
+
+  // Si mientras tanto cambiaron los filtros, la siguiente página pedirá su propia valoración.
+  if (cacheKey !== getPageCacheKey(inventoryFilters, 1)) return;
+
+  renderValuationSummary(valuationCache.get(cacheKey));
+};
+
+/**
+ * Busca un producto de la página actual por su ID.
+ * @param {string|number} productId
+ * @returns {Object|undefined}
+ */
+const findProduct = (productId) => pageProducts.find(product => String(product.id) === String(productId));
+
+/**
+ * Recarga las categorías y la lista de reposición, y vuelve a pintar sus paneles.
+ */
+const refreshSidePanels = async () => {
+  const [categoriesResult, managedCategoriesResult, restockResult] = await Promise.all([
+    fetchProductCategories(),
+    fetchCategories(),
+    fetchRestockList()
+  ]);
+
+  if (categoriesResult.error) {
+    console.error('Error al cargar las categorías:', categoriesResult.error);
+  } else {
+    productCategories = categoriesResult.data;
+    renderCategoryFilters();
+  }
+
+  if (managedCategoriesResult.error) {
+    console.error('Error al cargar las categorías administradas:', managedCategoriesResult.error);
+  } else {
+    managedCategories = managedCategoriesResult.data;
+    renderCategoryOptions();
+  }
+
+  if (restockResult.error) {
+    console.error('Error al cargar la lista de reposición:', restockResult.error);
+  } else {
+    restockItems = restockResult.data;
+    renderRestockPanel();
+  }
+};
+
+/**
+ * Aplica los filtros y el orden activos y vuelve a la primera página.
+ */
+const applyFilters = async () => {
+  // La selección se refiere a los filtros anteriores, así que la descartamos.
+  clearSelection();
+  // Reiniciamos a la primera página cuando cambian los filtros
+  await loadPage(1);
+};
+
+/**
+ * Renderiza una casilla por cada categoría del inventario, conservando las marcadas.
+ */
+const renderCategoryFilters = () => {
+  const categories = productCategories.map(({ category }) => category);
+
+  // Descartamos categorías seleccionadas que ya no existen.
+  inventoryFilters.categories = new Set(
+    [...inventoryFilters.categories].filter(category => categories.includes(category))
+  );
+
+  categoryFiltersContainer.innerHTML = productCategories.map(({ category, product_count: count }) => `
+    <label>
+      <input type="checkbox" name="category" value="${escapeHtml(category)}"
+        ${inventoryFilters.categories.has(category) ? 'checked' : ''}>
+      ${escapeHtml(category || 'Sin categoría')}
+      <span class="category-count">${count}</span>
+    </label>
+  `).join('');
+};
+
+/**
+ * Lee el formulario de filtros y actualiza `inventoryFilters`.
+ */
+const readFiltersForm = () => {
+  const minStock = filtersForm.elements['min-stock'].value.trim();
+  const maxStock = filtersForm.elements['max-stock'].value.trim();
+  const [sortBy, sortDirection] = filtersForm.elements.sort.value.split(':');
+
+  inventoryFilters = {
+    ...inventoryFilters,
+    categories: new Set(
+      [...filtersForm.querySelectorAll('input[name="category"]:checked')].map(input => input.value)
+    ),
+    minStock: minStock === '' ? null : parseInt(minStock, 10),
+    maxStock: maxStock === '' ? null : parseInt(maxStock, 10),
+    includeArchived: filtersForm.elements['include-archived'].checked,
+    sortBy,
+    sortDirection
+  };
 };
 
 /**
  * Renderiza los productos de la página actual con controles de paginación.
  */
 const renderProductsWithPagination = () => {
-  // Calculamos los índices para la página actual
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const productsToShow = filteredProducts.slice(startIndex, endIndex);
-  
-  // Renderizamos los productos de la página actual
-  renderProducts(productsToShow);
+  // Renderizamos los productos de la página actual (el servidor ya la recortó)
+  renderProducts(pageProducts);
+  renderBulkActionsBar();
   
   // Renderizamos los controles de paginación
   renderPaginationControls();
@@ -91,178 +497,3003 @@ const renderProductsWithPagination = () => {
  * @param {Array} products - El array de productos a mostrar.
  */
 const renderProducts = (products) => {
+  // Guardamos las tarjetas en edición para no perder lo que el usuario ya escribió.
+  const openEditCards = new Map(
+    [...productListContainer.querySelectorAll('.item-card.editing')].map(card => [card.dataset.id, card])
+  );
+
   // Limpiamos el contenido actual del contenedor.
   productListContainer.innerHTML = '';
 
-  if (products.length === 0 && filteredProducts.length === 0) {
+  if (products.length === 0 && totalProducts === 0) {
     productListContainer.innerHTML = '<p>No hay productos en el inventario. ¡Agrega uno!</p>';
     return;
   }
 
-  if (products.length === 0 && filteredProducts.length > 0) {
+  if (products.length === 0 && totalProducts > 0) {
     productListContainer.innerHTML = '<p>No se encontraron productos en esta página.</p>';
     return;
   }
 
   // Creamos y añadimos un elemento HTML por cada producto.
   products.forEach(product => {
+    const openEditCard = openEditCards.get(String(product.id));
+    if (openEditCard && editingProductIds.has(String(product.id))) {
+      productListContainer.appendChild(openEditCard);
+      return;
+    }
+
     const productElement = document.createElement('div');
     productElement.className = 'item-card'; // Clase para darle estilos CSS.
-    productElement.innerHTML = `
-      <h3>${product.name}</h3>
-      <p><strong>Categoría:</strong> ${product.category || 'N/A'}</p>
-      <p><strong>Stock:</strong> ${product.stock}</p>
-      <button class="delete-button" data-id="${product.id}">Eliminar</button>
-    `;
+    productElement.dataset.id = product.id;
     productListContainer.appendChild(productElement);
+
+    // Si el producto estaba en edición, conservamos el formulario abierto.
+    if (editingProductIds.has(String(product.id))) {
+      renderProductEditForm(productElement, product);
+    } else {
+      renderProductCard(productElement, product);
+    }
   });
 };
 
 /**
- * Renderiza los controles de paginación.
+ * Rellena una tarjeta con la vista de solo lectura de un producto.
+ * @param {HTMLElement} card - La tarjeta `.item-card` a rellenar.
+ * @param {Object} product - El producto a mostrar.
  */
-const renderPaginationControls = () => {
-  // Calculamos el número total de páginas
-  const totalPages = Math.ceil(filteredProducts.length / itemsPerPage);
-  
-  // Si solo hay una página o menos, no mostramos controles
-  if (totalPages <= 1) {
-    return;
+const renderProductCard = (card, product) => {
+  const lowStock = isLowStock(product, categoryThresholds);
+  const isSelected = selectedProductIds.has(String(product.id));
+  card.classList.remove('editing');
+  card.classList.toggle('low-stock', lowStock);
+  card.classList.toggle('selected', isSelected);
+  card.innerHTML = `
+    ${renderProductThumbnail(product)}
+    <label class="select-card">
+      ${can('products:edit') ? `<input type="checkbox" class="select-product" data-id="${product.id}" ${isSelected ? 'checked' : ''}>` : ''}
+      <h3>${escapeHtml(product.name)}</h3>
+    </label>
+    ${lowStock ? '<span class="low-stock-badge">⚠️ Stock bajo</span>' : ''}
+    ${product.archived_at ? '<span class="archived-badge">🗄️ Archivado</span>' : ''}
+    <p><strong>Categoría:</strong> ${escapeHtml(product.category || 'N/A')}</p>
+    <p><strong>Stock:</strong> ${product.stock} <small>(mínimo: ${getMinStock(product, categoryThresholds)})</small></p>
+    ${renderProductPricing(product)}
+    <p class="card-message" role="status"></p>
+    <div class="card-actions">
+      ${can('products:edit') ? `<button class="edit-button" data-id="${product.id}">Editar</button>` : ''}
+      <button class="stock-button" data-id="${product.id}">Movimientos</button>
+      ${can('products:delete') ? `<button class="delete-button" data-id="${product.id}">Eliminar</button>` : ''}
+    </div>
+  `;
+};
+
+/**
+ * Genera la miniatura de una tarjeta, o un marcador si el producto no tiene imagen.
+ * @param {Object} product
+ * @returns {string} El HTML de la miniatura.
+ */
+const renderProductThumbnail = (product) => {
+  if (!product.image_path) {
+    return '<div class="product-thumbnail placeholder" aria-hidden="true">🥐</div>';
   }
 
-  // Creamos el contenedor de paginación
-  const paginationContainer = document.createElement('div');
-  paginationContainer.className = 'pagination-container';
-  paginationContainer.innerHTML = `
-    <div class="pagination-info">
-      Página ${currentPage} de ${totalPages} (${filteredProducts.length} productos total)
-    </div>
-    <div class="pagination-buttons">
-      <button id="prev-page" ${currentPage === 1 ? 'disabled' : ''}>← Anterior</button>
-      <span class="page-numbers"></span>
-      <button id="next-page" ${currentPage === totalPages ? 'disabled' : ''}>Siguiente →</button>
-    </div>
+  return `
+    <img class="product-thumbnail" src="${getProductImageUrl(product.image_path, { thumbnail: true })}"
+      alt="${escapeHtml(product.name)}" loading="lazy" width="320" height="200">
   `;
+};
 
-  // Añadimos los números de página
-  const pageNumbersContainer = paginationContainer.querySelector('.page-numbers');
-  const startPage = Math.max(1, currentPage - 2);
-  const endPage = Math.min(totalPages, currentPage + 2);
+/**
+ * Genera el bloque de precio, costo y margen de una tarjeta.
+ * @param {Object} product
+ * @returns {string} El HTML del bloque.
+ */
+const renderProductPricing = (product) => {
+  const margin = calculateMargin(product);
+  const marginText = margin
+    ? `${formatCOP(margin.margin)} <small>(${margin.marginPercent.toFixed(1)}%)</small>`
+    : '—';
 
-  for (let i = startPage; i <= endPage; i++) {
-    const pageButton = document.createElement('button');
-    pageButton.textContent = i;
-    pageButton.className = i === currentPage ? 'page-number active' : 'page-number';
-    pageButton.addEventListener('click', () => {
-      currentPage = i;
-      renderProductsWithPagination();
-    });
-    pageNumbersContainer.appendChild(pageButton);
+  return `
+    <dl class="product-pricing">
+      <div><dt>Precio</dt><dd>${formatCOP(product.price)} <small>(IVA ${Number(product.tax_rate || 0)}%)</small></dd></div>
+      <div><dt>Costo</dt><dd>${formatCOP(product.unit_cost)}</dd></div>
+      <div class="${margin && margin.margin < 0 ? 'negative-margin' : ''}"><dt>Margen</dt><dd>${marginText}</dd></div>
+    </dl>
+  `;
+};
+
+/**
+ * Cambia una tarjeta al modo de edición con un formulario para nombre, categoría y stock.
+ * @param {HTMLElement} card - La tarjeta `.item-card` a editar.
+ * @param {Object} product - El producto que se está editando.
+ */
+const renderProductEditForm = (card, product) => {
+  card.classList.add('editing');
+  card.classList.remove('low-stock');
+  card.innerHTML = `
+    <form class="edit-product-form" data-id="${product.id}" novalidate>
+      <label>Nombre
+        <input type="text" name="name" value="${escapeHtml(product.name)}" required>
+      </label>
+      <label>Categoría
+        <input type="text" name="category" list="category-options" autocomplete="off"
+          value="${escapeHtml(product.category || '')}">
+      </label>
+      <label>Stock
+        <input type="number" name="stock" value="${product.stock}" min="0" step="1" required>
+      </label>
+      <label>Stock mínimo
+        <input type="number" name="min_stock" value="${product.min_stock ?? ''}" min="0" step="1"
+          placeholder="Por defecto de la categoría (${getMinStock({ ...product, min_stock: null }, categoryThresholds)})">
+      </label>
+      <label>Precio de venta (COP, con IVA)
+        <input type="text" name="price" inputmode="decimal" value="${product.price ?? ''}">
+      </label>
+      <label>Costo unitario (COP)
+        <input type="text" name="unit_cost" inputmode="decimal" value="${product.unit_cost ?? ''}">
+      </label>
+      <label>Impuesto (%)
+        <input type="text" name="tax_rate" inputmode="decimal" value="${product.tax_rate ?? 0}">
+      </label>
+      <label>${product.image_path ? 'Reemplazar imagen' : 'Imagen'}
+        <input type="file" name="image" accept="image/*">
+      </label>
+      ${product.image_path ? `
+        <label class="remove-image-option">
+          <input type="checkbox" name="remove_image"> Quitar la imagen actual
+        </label>
+      ` : ''}
+      <p class="card-message" role="status"></p>
+      <div class="card-actions">
+        <button type="submit" class="save-button">Guardar</button>
+        <button type="button" class="cancel-edit-button" data-id="${product.id}">Cancelar</button>
+      </div>
+    </form>
+  `;
+  card.querySelector('input[name="name"]').focus();
+};
+
+/**
+ * Muestra un mensaje de éxito o error dentro de una tarjeta concreta.
+ * @param {HTMLElement} card - La tarjeta donde mostrar el mensaje.
+ * @param {string} message - El texto a mostrar.
+ * @param {'success'|'error'} type - El tipo de mensaje.
+ */
+const showCardMessage = (card, message, type) => {
+  const messageElement = card.querySelector('.card-message');
+  if (!messageElement) return;
+
+  messageElement.textContent = message;
+  messageElement.className = `card-message ${type}`;
+};
+
+/**
+ * Escapa los caracteres especiales de HTML para insertarlos de forma segura.
+ * @param {string} value - El texto a escapar.
+ * @returns {string} El texto escapado.
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Guarda los cambios de un producto editado en Supabase.
+ * @param {HTMLFormElement} form - El formulario de edición de la tarjeta.
+ */
+const updateProduct = async (form) => {
+  const card = form.closest('.item-card');
+  const productId = form.getAttribute('data-id');
+  const saveButton = form.querySelector('.save-button');
+
+  const values = {
+    name: form.elements.name.value.trim(),
+    category: form.elements.category.value.trim(),
+    stock: form.elements.stock.value.trim(),
+    minStock: form.elements.min_stock.value.trim(),
+    price: form.elements.price.value.trim(),
+    unitCost: form.elements.unit_cost.value.trim(),
+    taxRate: form.elements.tax_rate.value.trim()
+  };
+  const imageFile = form.elements.image.files[0];
+  const removeImage = form.elements.remove_image?.checked ?? false;
+
+  const validationError = validateProductInput(values) || (imageFile && validateImageFile(imageFile));
+  if (validationError) {
+    showCardMessage(card, `❌ ${validationError}`, 'error');
+    return;
   }
 
-  // Añadimos el contenedor al DOM
-  productListContainer.appendChild(paginationContainer);
+  const { category, cancelled, error: categoryError } = await resolveProductCategory(values.category);
+  if (cancelled) return;
+  if (categoryError) {
+    showCardMessage(card, `❌ ${categoryError}`, 'error');
+    return;
+  }
 
-  // Añadimos eventos a los botones de anterior y siguiente
-  document.getElementById('prev-page')?.addEventListener('click', () => {
-    if (currentPage > 1) {
-      currentPage--;
-      renderProductsWithPagination();
+  saveButton.disabled = true;
+  showCardMessage(card, 'Guardando...', 'success');
+
+  const currentProduct = findProduct(productId);
+
+  const { data, error } = await supabase
+    .from('products')
+    .update({
+      name: values.name,
+      category,
+      // Vacío significa que el producto usa el mínimo de su categoría.
+      min_stock: values.minStock === '' ? null : parseInt(values.minStock, 10),
+      price: parseDecimal(values.price),
+      unit_cost: parseDecimal(values.unitCost),
+      tax_rate: parseDecimal(values.taxRate) ?? 0
+    })
+    .eq('id', productId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error al actualizar el producto:', error);
+    saveButton.disabled = false;
+    showCardMessage(card, '❌ No se pudo guardar el producto.', 'error');
+    return;
+  }
+
+  // El stock no se escribe directamente: la diferencia se registra como una
+  // corrección en el libro de movimientos.
+  let updatedProduct = data;
+  const stockDelta = parseInt(values.stock, 10) - (currentProduct?.stock ?? data.stock);
+  if (stockDelta !== 0) {
+    const { error: movementError } = await recordStockMovement({
+      productId,
+      reason: 'correction',
+      quantity: stockDelta,
+      note: 'Ajuste desde la edición del producto'
+    });
+
+    if (movementError) {
+      console.error('Error al registrar el movimiento de stock:', movementError);
+      saveButton.disabled = false;
+      replaceProductInLists(data);
+      showCardMessage(card, '❌ Se guardaron los datos, pero no el nuevo stock.', 'error');
+      return;
     }
-  });
 
-  document.getElementById('next-page')?.addEventListener('click', () => {
-    if (currentPage < totalPages) {
-      currentPage++;
-      renderProductsWithPagination();
+    updatedProduct = { ...data, stock: data.stock + stockDelta };
+  }
+
+  // La imagen va aparte: primero se sube al almacenamiento y luego se guarda su ruta.
+  if (imageFile || removeImage) {
+    showCardMessage(card, imageFile ? 'Subiendo imagen...' : 'Quitando imagen...', 'success');
+    const { data: imageData, error: imageError } = imageFile
+      ? await uploadProductImage(updatedProduct, imageFile)
+      : await removeProductImage(updatedProduct);
+
+    if (imageError) {
+      console.error('Error al actualizar la imagen del producto:', imageError);
+      saveButton.disabled = false;
+      replaceProductInLists(updatedProduct);
+      showCardMessage(card, '❌ Se guardaron los datos, pero no la imagen.', 'error');
+      return;
     }
+
+    updatedProduct = { ...updatedProduct, image_path: imageData.image_path };
+  }
+
+  // Actualizamos el producto en memoria sin recargar toda la lista.
+  replaceProductInLists(updatedProduct);
+
+  editingProductIds.delete(productId);
+  renderProductCard(card, updatedProduct);
+  showCardMessage(card, '✅ ¡Cambios guardados!', 'success');
+
+  // Ocultamos el mensaje de éxito después de 2 segundos.
+  setTimeout(() => {
+    showCardMessage(card, '', 'success');
+  }, 2000);
+};
+
+/**
+ * Sustituye un producto de la página actual por su versión actualizada.
+ * El resto de páginas en caché pueden haber quedado desordenadas o mal filtradas,
+ * así que se descartan; la página actual se conserva para no recargarla.
+ * @param {Object} updatedProduct - El producto con los datos nuevos.
+ */
+const replaceProductInLists = (updatedProduct) => {
+  pageProducts = pageProducts.map(product =>
+    String(product.id) === String(updatedProduct.id) ? updatedProduct : product
+  );
+
+  pageCache.clear();
+  valuationCache.clear();
+  pageCache.set(getPageCacheKey(inventoryFilters, currentPage), {
+    products: pageProducts,
+    count: totalProducts
   });
+
+  refreshSidePanels();
+};
+
+/**
+ * Vuelve a pintar la tarjeta de un producto si está visible en la página actual.
+ * @param {Object} product - El producto a repintar.
+ */
+const refreshProductCard = (product) => {
+  const card = productListContainer.querySelector(`.item-card[data-id="${product.id}"]`);
+  if (card && !editingProductIds.has(String(product.id))) {
+    renderProductCard(card, product);
+  }
 };
 
 // -----------------------------------------------------------------------------
-// --- 4. MANEJADORES DE EVENTOS (EVENT LISTENERS) ---
+// --- Alertas de stock bajo ---
 // -----------------------------------------------------------------------------
 
-// Evento para el formulario de agregar un nuevo producto.
-addProductForm.addEventListener('submit', async (e) => {
-  e.preventDefault(); // Evitamos que la página se recargue.
+/**
+ * Renderiza el panel "Necesita reposición" con los productos por debajo de su mínimo
+ * y el formulario de mínimos por categoría.
+ */
+const renderRestockPanel = () => {
+  restockPanel.classList.toggle('has-alerts', restockItems.length > 0);
+  restockPanel.querySelector('.restock-count').textContent = restockItems.length;
 
-  // Obtenemos los valores de los campos del formulario.
-  const productName = document.getElementById('product-name').value;
-  const productCategory = document.getElementById('product-category').value;
-  const productStock = document.getElementById('product-stock').value;
+  restockList.innerHTML = restockItems.length === 0
+    ? '<li class="restock-empty">✅ Todo el inventario está por encima de su mínimo.</li>'
+    : restockItems.map(({ product, minStock, shortfall }) => `
+        <li>
+          <strong>${escapeHtml(product.name)}</strong>
+          <span>${product.stock} / ${minStock}</span>
+          <span class="restock-shortfall">Faltan ${shortfall}</span>
+        </li>
+      `).join('');
 
-  // Insertamos el nuevo producto en la base de datos.
-  const { error } = await supabase
-    .from('products')
-    .insert([{
-        name: productName,
-        category: productCategory,
-        stock: parseInt(productStock, 10) // Convertimos el stock a número.
-    }]);
+  // No pisamos lo que el usuario esté escribiendo en los mínimos por categoría.
+  if (!categoryThresholdsForm.contains(document.activeElement)) {
+    renderCategoryThresholdsForm();
+  }
+};
 
-  if (error) {
-    console.error('Error al agregar el producto:', error);
-    addMessage.textContent = '❌ Error al agregar el producto.';
+/**
+ * Renderiza un campo de mínimo por cada categoría existente en el inventario.
+ */
+const renderCategoryThresholdsForm = () => {
+  const categories = productCategories.map(({ category }) => category).filter(Boolean);
+  const fieldsContainer = categoryThresholdsForm.querySelector('.category-thresholds-fields');
+
+  if (categories.length === 0) {
+    fieldsContainer.innerHTML = '<p>Aún no hay categorías en el inventario.</p>';
+    return;
+  }
+
+  fieldsContainer.innerHTML = categories.map(category => `
+    <label>${escapeHtml(category)}
+      <input type="number" min="0" step="1" data-category="${escapeHtml(category)}"
+        value="${categoryThresholds[category] ?? ''}" placeholder="Global">
+    </label>
+  `).join('');
+};
+
+/**
+ * Guarda los mínimos por categoría que hayan cambiado.
+ */
+const saveCategoryThresholds = async () => {
+  const inputs = [...categoryThresholdsForm.querySelectorAll('input[data-category]')];
+  const changes = inputs
+    .map(input => ({
+      category: input.dataset.category,
+      value: input.value.trim()
+    }))
+    .filter(({ category, value }) => String(categoryThresholds[category] ?? '') !== value);
+
+  if (changes.some(({ value }) => value !== '' && !/^\d+$/.test(value))) {
+    categoryThresholdsMessage.textContent = '❌ Los mínimos deben ser números enteros mayores o iguales a 0.';
+    return;
+  }
+
+  const errors = await Promise.all(changes.map(({ category, value }) =>
+    saveCategoryThreshold(category, value === '' ? null : parseInt(value, 10))
+  ));
+
+  // Aplicamos en memoria los cambios que sí se guardaron.
+  changes.forEach(({ category, value }, index) => {
+    if (errors[index]) return;
+    if (value === '') {
+      delete categoryThresholds[category];
+    } else {
+      categoryThresholds[category] = parseInt(value, 10);
+    }
+  });
+
+  const failed = errors.filter(Boolean);
+  if (failed.length > 0) {
+    console.error('Error al guardar los mínimos por categoría:', failed);
+    categoryThresholdsMessage.textContent = '❌ No se pudieron guardar algunos mínimos.';
   } else {
-    addMessage.textContent = '✅ ¡Producto agregado con éxito!';
-    addProductForm.reset(); // Limpiamos los campos del formulario.
-    await fetchAndDisplayProducts(); // Recargamos la lista para ver el nuevo producto.
-    
-    // Ocultamos el mensaje de éxito después de 2 segundos.
+    categoryThresholdsMessage.textContent = '✅ Mínimos guardados.';
     setTimeout(() => {
-      addMessage.textContent = '';
+      categoryThresholdsMessage.textContent = '';
     }, 2000);
   }
-});
 
-// Evento para la barra de búsqueda (se activa con cada tecla presionada).
-searchBar.addEventListener('input', (e) => {
-  const searchTerm = e.target.value.toLowerCase();
-  
-  // Filtramos la lista `allProducts` basándonos en el término de búsqueda.
-  filteredProducts = allProducts.filter(product =>
-    product.name.toLowerCase().includes(searchTerm)
-  );
-  
-  // Reiniciamos a la primera página cuando se hace una nueva búsqueda
-  currentPage = 1;
-  
-  // Renderizamos los productos filtrados con paginación.
   renderProductsWithPagination();
-});
+  await refreshSidePanels();
+};
 
-// Evento para eliminar un producto (usando delegación de eventos).
-productListContainer.addEventListener('click', async (e) => {
-  // Nos aseguramos de que el clic fue en un botón de eliminar.
-  if (e.target && e.target.classList.contains('delete-button')) {
-    const productId = e.target.getAttribute('data-id');
-    const confirmed = confirm('¿Estás seguro de que quieres eliminar este producto?');
-
-    if (confirmed) {
-      const { error } = await supabase
-        .from('products')
-        .delete()
-        .eq('id', productId);
-
-      if (error) {
-        console.error('Error al eliminar:', error);
-        alert('No se pudo eliminar el producto.');
-      } else {
-        await fetchAndDisplayProducts(); // Recargamos la lista actualizada.
-      }
-    }
-  }
-});
+// -----------------------------------------------------------------------------
+// --- Movimientos de stock ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre el diálogo de movimientos de stock para un producto.
+ * @param {string} productId - El ID del producto.
+ */
+const openStockDialog = async (productId) => {
+  const product = findProduct(productId);
+  if (!product) return;
+
+  stockDialogProductId = productId;
+  stockMovementForm.reset();
+  stockMovementMessage.textContent = '';
+  stockMovementMessage.className = '';
+  document.getElementById('stock-dialog-title').textContent = `Movimientos de ${product.name}`;
+
+  stockDialog.showModal();
+  await loadStockHistory();
+};
+
+/**
+ * Carga y muestra el historial de movimientos del producto abierto en el diálogo,
+ * comparando el stock actual con la suma del libro.
+ */
+const loadStockHistory = async () => {
+  const product = findProduct(stockDialogProductId);
+  stockHistoryContainer.innerHTML = '<p>Cargando movimientos... 📒</p>';
+
+  const { data: movements, error } = await fetchStockMovements(stockDialogProductId);
 
-// Evento para el botón de cerrar sesión.
-logoutButton.addEventListener('click', async () => {
-  const { error } = await supabase.auth.signOut();
   if (error) {
-    console.error('Error al cerrar sesión:', error);
+    console.error('Error al cargar los movimientos:', error);
+    stockHistoryContainer.innerHTML = '<p>❌ Error al cargar los movimientos.</p>';
+    return;
   }
-  // No es necesario un `else`, ya que el estado de la sesión cambiará
-  // y la próxima vez que se intente acceder a esta página, será redirigido.
-  // Pero lo redirigimos manualmente para una mejor experiencia de usuario.
-  window.location.href = 'login.html';
-});
\ No newline at end of file
+
+  const ledgerStock = sumStockMovements(movements);
+  const isReconciled = ledgerStock === product.stock;
+
+  const rows = movements.map(movement => `
+    <tr>
+      <td>${new Date(movement.created_at).toLocaleString('es-CO')}</td>
+      <td>${STOCK_MOVEMENT_REASONS[movement.reason]?.label || movement.reason}</td>
+      <td class="${movement.quantity > 0 ? 'quantity-in' : 'quantity-out'}">
+        ${movement.quantity > 0 ? '+' : ''}${movement.quantity}
+      </td>
+      <td>${escapeHtml(movement.user_email || '—')}</td>
+      <td>${escapeHtml(movement.note || '')}</td>
+    </tr>
+  `).join('');
+
+  stockHistoryContainer.innerHTML = `
+    <div class="stock-summary ${isReconciled ? '' : 'mismatch'}">
+      <span><strong>Stock actual:</strong> ${product.stock}</span>
+      <span><strong>Según movimientos:</strong> ${ledgerStock}</span>
+      ${isReconciled || !can('stock:move') ? '' : '<button type="button" id="reconcile-stock-button">Conciliar con el libro</button>'}
+    </div>
+    ${movements.length === 0
+      ? '<p>Este producto aún no tiene movimientos.</p>'
+      : `<table class="stock-history-table">
+          <thead>
+            <tr><th>Fecha</th><th>Motivo</th><th>Cantidad</th><th>Usuario</th><th>Nota</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`}
+  `;
+};
+
+/**
+ * Registra el movimiento del formulario del diálogo y actualiza la tarjeta del producto.
+ */
+const submitStockMovement = async () => {
+  const product = findProduct(stockDialogProductId);
+  const reason = stockMovementForm.elements.reason.value;
+  const direction = parseInt(stockMovementForm.elements.direction.value, 10);
+  const quantityValue = stockMovementForm.elements.quantity.value.trim();
+  const note = stockMovementForm.elements.note.value.trim();
+
+  const allowedDirection = STOCK_MOVEMENT_REASONS[reason]?.direction;
+  let validationError = null;
+
+  if (allowedDirection === undefined) {
+    validationError = 'Selecciona un motivo válido.';
+  } else if (!/^\d+$/.test(quantityValue) || parseInt(quantityValue, 10) === 0) {
+    validationError = 'La cantidad debe ser un número entero mayor que 0.';
+  } else if (allowedDirection !== 0 && allowedDirection !== direction) {
+    validationError = allowedDirection > 0
+      ? 'Una producción solo puede ser una entrada.'
+      : 'Las ventas y mermas solo pueden ser salidas.';
+  } else if (product.stock + direction * parseInt(quantityValue, 10) < 0) {
+    validationError = `No hay stock suficiente (disponible: ${product.stock}).`;
+  }
+
+  if (validationError) {
+    stockMovementMessage.textContent = `❌ ${validationError}`;
+    stockMovementMessage.className = 'error';
+    return;
+  }
+
+  const quantity = direction * parseInt(quantityValue, 10);
+  const { error } = await recordStockMovement({
+    productId: stockDialogProductId,
+    reason,
+    quantity,
+    note
+  });
+
+  if (error) {
+    console.error('Error al registrar el movimiento:', error);
+    stockMovementMessage.textContent = '❌ No se pudo registrar el movimiento.';
+    stockMovementMessage.className = 'error';
+    return;
+  }
+
+  const updatedProduct = { ...product, stock: product.stock + quantity };
+  replaceProductInLists(updatedProduct);
+  refreshProductCard(updatedProduct);
+
+  stockMovementForm.reset();
+  stockMovementMessage.textContent = '✅ Movimiento registrado.';
+  stockMovementMessage.className = 'success';
+  await loadStockHistory();
+};
+
+/**
+ * Ajusta el stock del producto abierto para que coincida con la suma de su libro.
+ */
+const reconcileOpenProduct = async () => {
+  const product = findProduct(stockDialogProductId);
+  const { data: reconciledStock, error } = await reconcileProductStock(stockDialogProductId);
+
+  if (error) {
+    console.error('Error al conciliar el stock:', error);
+    stockMovementMessage.textContent = '❌ No se pudo conciliar el stock.';
+    stockMovementMessage.className = 'error';
+    return;
+  }
+
+  const updatedProduct = { ...product, stock: reconciledStock };
+  replaceProductInLists(updatedProduct);
+  refreshProductCard(updatedProduct);
+
+  stockMovementMessage.textContent = '✅ Stock conciliado con el libro de movimientos.';
+  stockMovementMessage.className = 'success';
+  await loadStockHistory();
+};
+
+// -----------------------------------------------------------------------------
+// --- Importación y exportación ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Exporta a CSV o JSON todos los productos que cumplen los filtros actuales.
+ * @param {'csv'|'json'} format
+ */
+const exportInventory = async (format) => {
+  exportMessage.textContent = 'Preparando exportación... 📦';
+
+  const { data, error } = await fetchAllProducts(inventoryFilters);
+  if (error) {
+    console.error('Error al exportar el inventario:', error);
+    exportMessage.textContent = '❌ No se pudo exportar el inventario.';
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    downloadFile(productsToCsv(data), `inventario-${date}.csv`, 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(productsToJson(data), `inventario-${date}.json`, 'application/json');
+  }
+
+  exportMessage.textContent = `✅ ${data.length} productos exportados.`;
+  setTimeout(() => {
+    exportMessage.textContent = '';
+  }, 2000);
+};
+
+/**
+ * Lee el CSV elegido y abre el diálogo de importación en el paso de mapeo de columnas.
+ * @param {File} file
+ */
+const startImport = async (file) => {
+  importMessage.textContent = '';
+  importMessage.className = '';
+  importPreviewContainer.innerHTML = '';
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    console.error('Error al leer el archivo:', error);
+    importMessage.textContent = '❌ No se pudo leer el archivo.';
+    importMessage.className = 'error';
+    importMappingForm.hidden = true;
+    importDialog.showModal();
+    return;
+  }
+
+  const { headers, rows } = parseCsv(text);
+
+  if (headers.length === 0 || rows.length === 0) {
+    importMessage.textContent = '❌ El archivo está vacío o no tiene filas de datos.';
+    importMessage.className = 'error';
+    importMappingForm.hidden = true;
+    importDialog.showModal();
+    return;
+  }
+
+  importState = { headers, rows, preview: [] };
+  renderImportMapping(guessColumnMapping(headers));
+  importMappingForm.hidden = false;
+  importDialog.showModal();
+};
+
+/**
+ * Renderiza un selector de columna del CSV por cada campo importable.
+ * @param {Object} mapping - Mapa `campo -> índice de columna` propuesto.
+ */
+const renderImportMapping = (mapping) => {
+  const options = importState.headers.map((header, index) =>
+    `<option value="${index}">${escapeHtml(header || `Columna ${index + 1}`)}</option>`
+  ).join('');
+
+  importMappingForm.querySelector('.import-mapping-fields').innerHTML = Object.entries(IMPORT_FIELDS)
+    .map(([field, { label, required }]) => `
+      <label>${label}${required ? ' *' : ''}
+        <select name="${field}">
+          <option value="">— No importar —</option>
+          ${options}
+        </select>
+      </label>
+    `).join('');
+
+  Object.entries(mapping).forEach(([field, index]) => {
+    importMappingForm.elements[field].value = index === null ? '' : String(index);
+  });
+
+  importMappingForm.querySelector('.import-row-count').textContent = importState.rows.length;
+};
+
+/**
+ * Valida las filas con el mapeo elegido y muestra la vista previa.
+ */
+const previewImport = async () => {
+  const mapping = Object.fromEntries(Object.keys(IMPORT_FIELDS).map(field => {
+    const value = importMappingForm.elements[field].value;
+    return [field, value === '' ? null : parseInt(value, 10)];
+  }));
+
+  const missing = Object.entries(IMPORT_FIELDS)
+    .filter(([field, { required }]) => required && mapping[field] === null)
+    .map(([, { label }]) => label);
+
+  if (missing.length > 0) {
+    importMessage.textContent = `❌ Falta asignar una columna a: ${missing.join(', ')}.`;
+    importMessage.className = 'error';
+    return;
+  }
+
+  importMessage.textContent = 'Validando filas...';
+  importMessage.className = '';
+
+  // Igual que en `validateImportRows`, para que los duplicados se comparen con el mismo nombre.
+  const names = importState.rows.map(row => unescapeCsvValue((row[mapping.name] ?? '').trim()));
+  const { data: existingNames, error } = await fetchExistingProductNames(names);
+  if (error) {
+    console.error('Error al buscar duplicados:', error);
+    importMessage.textContent = '❌ No se pudieron comprobar los duplicados.';
+    importMessage.className = 'error';
+    return;
+  }
+
+  importState.preview = validateImportRows(importState.rows, mapping, existingNames);
+  importMessage.textContent = '';
+  renderImportPreview();
+};
+
+/**
+ * Renderiza la vista previa de la importación con el estado de cada fila.
+ */
+const renderImportPreview = () => {
+  const { preview } = importState;
+  const countBy = status => preview.filter(row => row.status === status).length;
+  const validCount = countBy('ok');
+  const statusLabels = { ok: '✅ Válida', error: '❌ Error', duplicate: '⚠️ Duplicada' };
+
+  const rows = preview.map(({ line, values, status, message }) => `
+    <tr class="import-row-${status}">
+      <td>${line}</td>
+      <td>${escapeHtml(values.name)}</td>
+      <td>${escapeHtml(values.category)}</td>
+      <td>${escapeHtml(values.stock)}</td>
+      <td>${escapeHtml(values.minStock)}</td>
+      <td>${escapeHtml(values.price)}</td>
+      <td>${escapeHtml(values.unitCost)}</td>
+      <td>${statusLabels[status]}${message ? ` — ${escapeHtml(message)}` : ''}</td>
+    </tr>
+  `).join('');
+
+  importPreviewContainer.innerHTML = `
+    <p class="import-summary">
+      <strong>${validCount}</strong> válidas ·
+      <strong>${countBy('error')}</strong> con errores ·
+      <strong>${countBy('duplicate')}</strong> duplicadas (se omitirán)
+    </p>
+    <div class="import-table-wrapper">
+      <table class="import-preview-table">
+        <thead>
+          <tr><th>Fila</th><th>Nombre</th><th>Categoría</th><th>Stock</th><th>Mínimo</th><th>Precio</th><th>Costo</th><th>Estado</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <button type="button" id="confirm-import-button" ${validCount === 0 ? 'disabled' : ''}>
+      Importar ${validCount} productos
+    </button>
+    <progress id="import-progress" value="0" max="${validCount}" hidden></progress>
+  `;
+};
+
+/**
+ * Inserta las filas válidas y muestra el resumen de lo que se importó y lo que falló.
+ */
+const confirmImport = async () => {
+  const validRows = importState.preview.filter(row => row.status === 'ok');
+  const confirmButton = document.getElementById('confirm-import-button');
+  const progress = document.getElementById('import-progress');
+
+  confirmButton.disabled = true;
+  importMappingForm.hidden = true;
+  progress.hidden = false;
+  importMessage.textContent = 'Importando productos...';
+  importMessage.className = '';
+
+  const { inserted, failed } = await importProducts(validRows, {
+    onProgress: (done) => {
+      progress.value = done;
+    }
+  });
+
+  const skipped = importState.preview.length - validRows.length;
+  importPreviewContainer.innerHTML = `
+    <div class="import-report">
+      <p>✅ <strong>${inserted.length}</strong> productos importados.</p>
+      <p>⏭️ <strong>${skipped}</strong> filas omitidas por errores o duplicados.</p>
+      <p>❌ <strong>${failed.length}</strong> filas fallaron al guardarse.</p>
+      ${failed.length === 0 ? '' : `
+        <ul>
+          ${failed.map(({ line, name, message }) =>
+            `<li>Fila ${line} (${escapeHtml(name)}): ${escapeHtml(message)}</li>`
+          ).join('')}
+        </ul>
+      `}
+    </div>
+  `;
+  importMessage.textContent = '';
+
+  if (inserted.length > 0) {
+    await fetchAndDisplayProducts();
+  }
+};
+
+// -----------------------------------------------------------------------------
+// --- Selección y acciones en lote ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Actualiza la barra de acciones en lote según la selección actual.
+ */
+const renderBulkActionsBar = () => {
+  const selectedCount = selectedProductIds.size;
+  const pageIds = pageProducts.map(product => String(product.id));
+  const selectedOnPage = pageIds.filter(id => selectedProductIds.has(id)).length;
+
+  bulkActionsBar.classList.toggle('has-selection', selectedCount > 0);
+  bulkActionsBar.querySelector('.selected-count').textContent = selectedCount;
+  bulkActionsBar.querySelector('.filtered-count').textContent = totalProducts;
+
+  selectPageCheckbox.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+  selectPageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+
+  bulkActionForm.querySelector('button[type="submit"]').disabled = selectedCount === 0;
+};
+
+/**
+ * Marca o desmarca un producto y actualiza su tarjeta.
+ * @param {string} productId
+ * @param {boolean} selected
+ */
+const setProductSelected = (productId, selected) => {
+  if (selected) {
+    selectedProductIds.add(productId);
+  } else {
+    selectedProductIds.delete(productId);
+  }
+
+  const card = productListContainer.querySelector(`.item-card[data-id="${productId}"]`);
+  card?.classList.toggle('selected', selected);
+  const checkbox = card?.querySelector('.select-product');
+  if (checkbox) {
+    checkbox.checked = selected;
+  }
+};
+
+/**
+ * Desmarca todos los productos.
+ */
+const clearSelection = () => {
+  selectedProductIds = new Set();
+  productListContainer.querySelectorAll('.item-card.selected').forEach(card => {
+    card.classList.remove('selected');
+    const checkbox = card.querySelector('.select-product');
+    if (checkbox) {
+      checkbox.checked = false;
+    }
+  });
+  renderBulkActionsBar();
+};
+
+/**
+ * Selecciona todos los productos que cumplen los filtros, no solo los de la página.
+ */
+const selectAllFiltered = async () => {
+  bulkActionMessage.textContent = 'Seleccionando productos...';
+
+  const { data, error } = await fetchAllProducts(inventoryFilters, 1000, 'id');
+  if (error) {
+    console.error('Error al seleccionar los productos filtrados:', error);
+    bulkActionMessage.textContent = '❌ No se pudieron seleccionar todos los productos.';
+    return;
+  }
+
+  data.forEach(({ id }) => setProductSelected(String(id), true));
+  bulkActionMessage.textContent = '';
+  renderBulkActionsBar();
+};
+
+/**
+ * Ejecuta la acción en lote elegida sobre los productos seleccionados.
+ */
+const applyBulkAction = async () => {
+  const action = bulkActionForm.elements.action.value;
+  const rawValue = bulkActionForm.elements['target-value'].value.trim();
+  const productIds = [...selectedProductIds];
+  const { label, needsValue } = BULK_ACTIONS[action];
+
+  let value = null;
+  if (action === 'category') {
+    if (rawValue.length > 50) {
+      bulkActionMessage.textContent = '❌ La categoría no puede tener más de 50 caracteres.';
+      return;
+    }
+    const { category, cancelled, error } = await resolveProductCategory(rawValue);
+    if (cancelled) return;
+    if (error) {
+      bulkActionMessage.textContent = `❌ ${error}`;
+      return;
+    }
+    // Vacío deja los productos sin categoría.
+    value = category;
+  } else if (action === 'stock') {
+    if (!/^\d+$/.test(rawValue)) {
+      bulkActionMessage.textContent = '❌ El stock debe ser un número entero mayor o igual a 0.';
+      return;
+    }
+    value = parseInt(rawValue, 10);
+  }
+
+  const confirmed = confirm(
+    `¿${label} ${productIds.length} productos${needsValue ? ` (valor: "${rawValue}")` : ''}?`
+  );
+  if (!confirmed) return;
+
+  bulkActionForm.querySelector('button[type="submit"]').disabled = true;
+  bulkProgress.hidden = false;
+  bulkProgress.value = 0;
+  bulkProgress.max = productIds.length;
+  bulkActionMessage.textContent = `${label}: procesando ${productIds.length} productos...`;
+
+  const { succeeded, failed, errors } = await runBulkAction(action, productIds, value, (done) => {
+    bulkProgress.value = done;
+  });
+
+  if (errors.length > 0) {
+    console.error('Errores en la acción en lote:', errors);
+  }
+
+  bulkProgress.hidden = true;
+  bulkActionMessage.textContent = failed === 0
+    ? `✅ ${label}: ${succeeded} productos actualizados.`
+    : `⚠️ ${label}: ${succeeded} correctos, ${failed} fallaron.`;
+
+  if (action === 'delete' && succeeded > 0) {
+    showUndoToast(`🗑️ ${succeeded} productos enviados a la papelera.`, productIds);
+  }
+
+  clearSelection();
+  await fetchAndDisplayProducts();
+};
+
+// -----------------------------------------------------------------------------
+// --- Papelera ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Envía un producto a la papelera y ofrece deshacerlo.
+ * @param {string} productId
+ */
+const deleteProduct = async (productId) => {
+  const product = findProduct(productId);
+  const { error } = navigator.onLine
+    ? await softDeleteProducts([productId])
+    : { error: new Error('Sin conexión') };
+
+  if (error && isOfflineError(error) && product) {
+    await queueOfflineDelete(product);
+    return;
+  }
+
+  if (error) {
+    console.error('Error al eliminar:', error);
+    alert('No se pudo eliminar el producto.');
+    return;
+  }
+
+  selectedProductIds.delete(productId);
+  editingProductIds.delete(productId);
+  showUndoToast(`🗑️ "${product?.name ?? 'Producto'}" se envió a la papelera.`, [productId]);
+  await fetchAndDisplayProducts(); // Recargamos la lista actualizada.
+};
+
+/**
+ * Muestra un aviso temporal sin acciones.
+ * @param {string} message
+ */
+const showToast = (message) => {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `<span>${escapeHtml(message)}</span>`;
+  toastContainer.appendChild(toast);
+  setTimeout(() => toast.remove(), undoDelay);
+};
+
+/**
+ * Muestra un aviso temporal con un botón "Deshacer" que restaura los productos.
+ * @param {string} message
+ * @param {Array<string>} productIds - Los productos que se restaurarán al deshacer.
+ */
+const showUndoToast = (message, productIds) => {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span>${escapeHtml(message)}</span>
+    <button type="button" class="undo-button">Deshacer</button>
+  `;
+
+  const timer = setTimeout(() => toast.remove(), undoDelay);
+
+  toast.querySelector('.undo-button').addEventListener('click', async () => {
+    clearTimeout(timer);
+    toast.querySelector('.undo-button').disabled = true;
+
+    const { error } = await restoreProducts(productIds);
+    if (error) {
+      console.error('Error al restaurar:', error);
+      toast.querySelector('span').textContent = '❌ No se pudo deshacer. Búscalo en la papelera.';
+      setTimeout(() => toast.remove(), undoDelay);
+      return;
+    }
+
+    toast.remove();
+    await fetchAndDisplayProducts();
+  });
+
+  toastContainer.appendChild(toast);
+};
+
+/**
+ * Abre la papelera y carga los productos eliminados.
+ */
+const openTrashDialog = async () => {
+  trashMessage.textContent = '';
+  trashDialog.showModal();
+  await loadTrash();
+};
+
+/**
+ * Carga y muestra los productos de la papelera.
+ */
+const loadTrash = async () => {
+  trashListContainer.innerHTML = '<p>Cargando papelera... 🗑️</p>';
+
+  const { data, error } = await fetchDeletedProducts();
+  if (error) {
+    console.error('Error al cargar la papelera:', error);
+    trashListContainer.innerHTML = '<p>❌ Error al cargar la papelera.</p>';
+    return;
+  }
+
+  if (data.length === 0) {
+    trashListContainer.innerHTML = '<p>La papelera está vacía.</p>';
+    return;
+  }
+
+  trashListContainer.innerHTML = `
+    <table class="trash-table">
+      <thead>
+        <tr><th>Producto</th><th>Categoría</th><th>Stock</th><th>Eliminado</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${data.map(product => `
+          <tr>
+            <td>${escapeHtml(product.name)}</td>
+            <td>${escapeHtml(product.category || 'N/A')}</td>
+            <td>${product.stock}</td>
+            <td>${new Date(product.deleted_at).toLocaleString('es-CO')}</td>
+            <td class="trash-actions">
+              ${can('products:delete') ? `<button type="button" class="restore-button" data-id="${product.id}">Restaurar</button>` : ''}
+              ${can('products:purge') ? `<button type="button" class="permanent-delete-button" data-id="${product.id}">Eliminar definitivamente</button>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+};
+
+/**
+ * Restaura un producto de la papelera.
+ * @param {string} productId
+ */
+const restoreFromTrash = async (productId) => {
+  const { error } = await restoreProducts([productId]);
+
+  if (error) {
+    console.error('Error al restaurar:', error);
+    trashMessage.textContent = '❌ No se pudo restaurar el producto.';
+    return;
+  }
+
+  trashMessage.textContent = '✅ Producto restaurado.';
+  await Promise.all([loadTrash(), fetchAndDisplayProducts()]);
+};
+
+/**
+ * Elimina definitivamente un producto de la papelera, previa confirmación.
+ * @param {string} productId
+ */
+const deleteFromTrash = async (productId) => {
+  const confirmed = confirm('Se eliminará el producto y todo su historial. Esta acción no se puede deshacer. ¿Continuar?');
+  if (!confirmed) return;
+
+  const { error } = await permanentlyDeleteProducts([productId]);
+
+  if (error) {
+    console.error('Error al eliminar definitivamente:', error);
+    trashMessage.textContent = '❌ No se pudo eliminar el producto.';
+    return;
+  }
+
+  trashMessage.textContent = '✅ Producto eliminado definitivamente.';
+  await loadTrash();
+};
+
+// -----------------------------------------------------------------------------
+// --- Categorías ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Rellena las sugerencias de categoría de los formularios de alta, edición y lote.
+ */
+const renderCategoryOptions = () => {
+  categoryOptions.innerHTML = managedCategories
+    .map(({ name }) => `<option value="${escapeHtml(name)}"></option>`)
+    .join('');
+};
+
+/**
+ * Traduce la categoría escrita en un formulario a una categoría administrada
+ * ("pan" se guarda como "Pan"). Si no existe, ofrece crearla, avisando de las
+ * parecidas para no duplicar ("Panes" cuando ya existe "Pan").
+ * @param {string} name - La categoría escrita, ya sin espacios sobrantes.
+ * @returns {Promise<{category?: string|null, cancelled?: boolean, error?: string}>}
+ *   `category` es `null` si el producto queda sin categoría.
+ */
+const resolveProductCategory = async (name) => {
+  if (!name) {
+    return { category: null };
+  }
+
+  const existing = findCategory(name, managedCategories);
+  if (existing) {
+    return { category: existing.name };
+  }
+
+  const similar = findSimilarCategories(name, managedCategories);
+  const suggestion = similar.length > 0
+    ? ` Hay categorías parecidas: ${similar.map(category => `"${category.name}"`).join(', ')}.`
+    : '';
+  if (!confirm(`La categoría "${name}" no existe.${suggestion} ¿Quieres crearla?`)) {
+    return { cancelled: true };
+  }
+
+  const { data, error } = await createCategory(name);
+  if (error) {
+    console.error('Error al crear la categoría:', error);
+    return { error: 'No se pudo crear la categoría.' };
+  }
+
+  managedCategories = [...managedCategories, data]
+    .sort((a, b) => a.name.localeCompare(b.name, 'es', { sensitivity: 'base' }));
+  renderCategoryOptions();
+  return { category: data.name };
+};
+
+/**
+ * Abre el administrador de categorías.
+ */
+const openCategoriesDialog = () => {
+  categoriesMessage.textContent = '';
+  renderCategoriesManager();
+  categoriesDialog.showModal();
+};
+
+/**
+ * Renderiza la lista de categorías con su número de productos, las acciones de
+ * renombrar, fusionar y eliminar, y los grupos de posibles duplicados.
+ */
+const renderCategoriesManager = () => {
+  const productCounts = new Map(productCategories.map(({ category, product_count: count }) => [category, count]));
+  const countOf = name => productCounts.get(name) ?? 0;
+
+  if (managedCategories.length === 0) {
+    categoriesListContainer.innerHTML = '<p>Aún no hay categorías. ¡Crea la primera!</p>';
+    return;
+  }
+
+  // Sin permiso para gestionarlas, solo se listan.
+  if (!can('categories:manage')) {
+    categoriesListContainer.innerHTML = `
+      <table class="categories-table">
+        <thead><tr><th>Nombre</th><th>Productos</th></tr></thead>
+        <tbody>
+          ${managedCategories.map(({ name }) => `<tr><td>${escapeHtml(name)}</td><td>${countOf(name)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+    return;
+  }
+
+  // En cada grupo, la sugerencia es fusionar en la categoría con más productos.
+  duplicateCategoryGroups = findDuplicateCategories(managedCategories)
+    .map(group => [...group].sort((a, b) => countOf(b.name) - countOf(a.name)));
+
+  const duplicatesHtml = duplicateCategoryGroups.length === 0 ? '' : `
+    <div class="category-duplicates">
+      <h3>⚠️ Posibles duplicados</h3>
+      <ul>
+        ${duplicateCategoryGroups.map((group, index) => `
+          <li>
+            ${group.map(({ name }) => `<strong>${escapeHtml(name)}</strong> (${countOf(name)})`).join(', ')}
+            <button type="button" class="merge-duplicates-button" data-group="${index}">
+              Fusionar en "${escapeHtml(group[0].name)}"
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+
+  categoriesListContainer.innerHTML = `
+    ${duplicatesHtml}
+    <table class="categories-table">
+      <thead>
+        <tr><th>Nombre</th><th>Productos</th><th>Fusionar en</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${managedCategories.map(({ id, name }) => `
+          <tr data-id="${id}">
+            <td>
+              <input type="text" class="category-name-input" value="${escapeHtml(name)}" maxlength="50"
+                aria-label="Nombre de la categoría">
+              <button type="button" class="rename-category-button">Renombrar</button>
+            </td>
+            <td>${countOf(name)}</td>
+            <td>
+              <select class="merge-target-select" aria-label="Categoría destino">
+                <option value="">—</option>
+                ${managedCategories.filter(category => category.id !== id).map(category => `
+                  <option value="${escapeHtml(category.name)}">${escapeHtml(category.name)}</option>
+                `).join('')}
+              </select>
+              <button type="button" class="merge-category-button">Fusionar</button>
+            </td>
+            <td>
+              <button type="button" class="delete-category-button">Eliminar</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+};
+
+/**
+ * Recarga el inventario después de cambiar categorías (los productos y los
+ * mínimos pueden haber cambiado en cascada) y vuelve a pintar el administrador.
+ * @param {string} message - Mensaje a mostrar en el diálogo.
+ */
+const afterCategoriesChange = async (message) => {
+  await fetchAndDisplayProducts();
+  renderCategoriesManager();
+  categoriesMessage.textContent = message;
+};
+
+/**
+ * Crea una categoría desde el formulario del administrador.
+ */
+const submitNewCategory = async () => {
+  const name = createCategoryForm.elements.name.value.trim();
+  const validationError = validateCategoryName(name, managedCategories);
+  if (validationError) {
+    categoriesMessage.textContent = `❌ ${validationError}`;
+    return;
+  }
+
+  const { error } = await createCategory(name);
+  if (error) {
+    console.error('Error al crear la categoría:', error);
+    categoriesMessage.textContent = '❌ No se pudo crear la categoría.';
+    return;
+  }
+
+  createCategoryForm.reset();
+  await afterCategoriesChange(`✅ Categoría "${name}" creada.`);
+};
+
+/**
+ * Renombra una categoría. Sus productos se actualizan en la base de datos.
+ * @param {HTMLTableRowElement} row
+ */
+const renameCategoryFromRow = async (row) => {
+  const categoryId = Number(row.dataset.id);
+  const category = managedCategories.find(({ id }) => id === categoryId);
+  const name = row.querySelector('.category-name-input').value.trim();
+
+  if (!category || name === category.name) return;
+
+  const validationError = validateCategoryName(name, managedCategories, categoryId);
+  if (validationError) {
+    categoriesMessage.textContent = `❌ ${validationError}`;
+    return;
+  }
+
+  const { error } = await renameCategory(categoryId, name);
+  if (error) {
+    console.error('Error al renombrar la categoría:', error);
+    categoriesMessage.textContent = '❌ No se pudo renombrar la categoría.';
+    return;
+  }
+
+  await afterCategoriesChange(`✅ "${category.name}" ahora se llama "${name}".`);
+};
+
+/**
+ * Fusiona varias categorías en una, previa confirmación.
+ * @param {Array<string>} sourceNames - Categorías que desaparecen.
+ * @param {string} targetName - Categoría que recibe sus productos.
+ */
+const mergeCategoriesInto = async (sourceNames, targetName) => {
+  const confirmed = confirm(
+    `Los productos de ${sourceNames.map(name => `"${name}"`).join(', ')} pasarán a "${targetName}" ` +
+    'y esas categorías se eliminarán. ¿Continuar?'
+  );
+  if (!confirmed) return;
+
+  let moved = 0;
+  for (const sourceName of sourceNames) {
+    const { data, error } = await mergeCategories(sourceName, targetName);
+    if (error) {
+      console.error('Error al fusionar categorías:', error);
+      await afterCategoriesChange(`❌ No se pudo fusionar "${sourceName}".`);
+      return;
+    }
+    moved += data;
+  }
+
+  await afterCategoriesChange(`✅ Categorías fusionadas: ${moved} productos movidos a "${targetName}".`);
+};
+
+/**
+ * Elimina una categoría, previa confirmación. Sus productos quedan sin categoría.
+ * @param {HTMLTableRowElement} row
+ */
+const deleteCategoryFromRow = async (row) => {
+  const category = managedCategories.find(({ id }) => id === Number(row.dataset.id));
+  if (!category) return;
+
+  const count = productCategories.find(({ category: name }) => name === category.name)?.product_count ?? 0;
+  const confirmed = confirm(
+    count > 0
+      ? `"${category.name}" tiene ${count} productos, que quedarán sin categoría. ¿Eliminarla?`
+      : `¿Eliminar la categoría "${category.name}"?`
+  );
+  if (!confirmed) return;
+
+  const { error } = await deleteCategory(category.id);
+  if (error) {
+    console.error('Error al eliminar la categoría:', error);
+    categoriesMessage.textContent = '❌ No se pudo eliminar la categoría.';
+    return;
+  }
+
+  await afterCategoriesChange(`✅ Categoría "${category.name}" eliminada.`);
+};
+
+// -----------------------------------------------------------------------------
+// --- Roles y usuarios ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Indica si el usuario de la sesión tiene un permiso.
+ * @param {string} permission - Uno de los permisos de Roles.js.
+ * @returns {boolean}
+ */
+const can = (permission) => hasPermission(currentProfile?.role ?? null, permission);
+
+/**
+ * Carga el perfil del usuario de la sesión y adapta el dashboard a su rol. Sin
+ * conexión se usa el último perfil guardado, para poder seguir trabajando.
+ * @param {string} userId - El usuario de la sesión.
+ */
+const loadCurrentProfile = async (userId) => {
+  let { data, error } = await fetchCurrentProfile();
+
+  if (error && isOfflineError(error)) {
+    const { data: savedProfile } = await loadProfile(userId);
+    if (savedProfile) {
+      data = savedProfile;
+      error = null;
+    }
+  } else if (data) {
+    await saveProfile(data);
+  }
+
+  if (error) {
+    // Sin perfil no sabemos qué puede hacer: dejamos el dashboard en solo lectura.
+    console.error('Error al cargar el perfil del usuario:', error);
+    listMessage.textContent = '⚠️ No se pudo cargar tu rol: el inventario se muestra en modo consulta.';
+  }
+
+  currentProfile = data;
+  applyRolePermissions();
+};
+
+/**
+ * Muestra u oculta las secciones y controles fijos según el rol. Las acciones
+ * de cada tarjeta, de la papelera y de las categorías se deciden al pintarlas.
+ */
+const applyRolePermissions = () => {
+  const roleLabel = document.getElementById('current-user-role');
+  roleLabel.textContent = currentProfile ? ROLES[currentProfile.role].label : 'Sin rol';
+  roleLabel.title = currentProfile ? ROLES[currentProfile.role].description : '';
+
+  document.getElementById('add-item-section').hidden = !can('products:create');
+  document.querySelector('.import-file-label').hidden = !can('products:create');
+  document.getElementById('bulk-actions-bar').hidden = !can('products:edit');
+  stockMovementForm.hidden = !can('stock:move');
+  createCategoryForm.hidden = !can('categories:manage');
+  categoryThresholdsForm.querySelector('button[type="submit"]').hidden = !can('categories:manage');
+  document.getElementById('open-users-button').hidden = !can('users:manage');
+  document.getElementById('open-inbox-button').hidden = !can('messages:manage');
+  document.getElementById('open-orders-button').hidden = !can('orders:manage');
+};
+
+/**
+ * Abre la gestión de usuarios (solo administradores).
+ */
+const openUsersDialog = async () => {
+  usersMessage.textContent = '';
+  usersDialog.showModal();
+  await loadUsers();
+};
+
+/**
+ * Carga y muestra los usuarios con su rol. Los invitados aparecen en cuanto se
+ * les envía el enlace, porque ahí se crea su cuenta.
+ */
+const loadUsers = async () => {
+  usersListContainer.innerHTML = '<p>Cargando usuarios... 👥</p>';
+
+  const { data: profiles, error } = await fetchProfiles();
+  if (error) {
+    console.error('Error al cargar los usuarios:', error);
+    usersListContainer.innerHTML = '<p>❌ Error al cargar los usuarios.</p>';
+    return;
+  }
+
+  const roleOptions = selectedRole => Object.entries(ROLES).map(([role, { label }]) => `
+    <option value="${role}" ${role === selectedRole ? 'selected' : ''}>${label}</option>
+  `).join('');
+
+  usersListContainer.innerHTML = `
+    <h3>Usuarios</h3>
+    <table class="users-table">
+      <thead>
+        <tr><th>Correo</th><th>Rol</th><th>Desde</th></tr>
+      </thead>
+      <tbody>
+        ${profiles.map(profile => `
+          <tr>
+            <td>${escapeHtml(profile.email)}${profile.id === currentProfile?.id ? ' <small>(tú)</small>' : ''}</td>
+            <td>
+              <select class="user-role-select" data-id="${profile.id}" data-role="${profile.role}"
+                aria-label="Rol de ${escapeHtml(profile.email)}">
+                ${roleOptions(profile.role)}
+              </select>
+            </td>
+            <td>${new Date(profile.created_at).toLocaleDateString('es-CO')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+};
+
+/**
+ * Cambia el rol de un usuario desde su selector, previa confirmación.
+ * @param {HTMLSelectElement} select
+ */
+const changeUserRole = async (select) => {
+  const { id: userId, role: previousRole } = select.dataset;
+  const role = select.value;
+
+  const isSelf = userId === currentProfile?.id;
+  const confirmed = confirm(
+    `¿Cambiar el rol a "${ROLES[role].label}"?` +
+    (isSelf ? ' Es tu propio usuario: podrías perder permisos.' : '')
+  );
+  if (!confirmed) {
+    select.value = previousRole;
+    return;
+  }
+
+  const { error } = await updateUserRole(userId, role);
+  if (error) {
+    console.error('Error al cambiar el rol:', error);
+    select.value = previousRole;
+    usersMessage.textContent = error.message.includes('al menos un administrador')
+      ? '❌ Debe quedar al menos un administrador.'
+      : '❌ No se pudo cambiar el rol.';
+    return;
+  }
+
+  select.dataset.role = role;
+  usersMessage.textContent = '✅ Rol actualizado.';
+
+  if (isSelf) {
+    await loadCurrentProfile(userId);
+    renderProductsWithPagination();
+  }
+};
+
+/**
+ * Invita a un usuario con el rol elegido en el formulario.
+ */
+const submitInvitation = async () => {
+  const email = inviteUserForm.elements.email.value.trim();
+  const role = inviteUserForm.elements.role.value;
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    usersMessage.textContent = '❌ Escribe un correo electrónico válido.';
+    return;
+  }
+
+  const submitButton = inviteUserForm.querySelector('button[type="submit"]');
+  submitButton.disabled = true;
+  usersMessage.textContent = 'Enviando invitación...';
+
+  const { data, error } = await inviteUser(email, role);
+  submitButton.disabled = false;
+
+  if (error) {
+    console.error('Error al invitar al usuario:', error);
+    usersMessage.textContent = error.message?.includes('al menos un administrador')
+      ? '❌ Debe quedar al menos un administrador.'
+      : '❌ No se pudo enviar la invitación.';
+    return;
+  }
+
+  inviteUserForm.reset();
+  usersMessage.textContent = data.existingUser
+    ? `✅ ${email} ya tenía cuenta: ahora tiene el rol "${ROLES[role].label}".`
+    : `✅ Invitación enviada a ${email}.`;
+  await loadUsers();
+};
+
+// -----------------------------------------------------------------------------
+// --- Bandeja de mensajes ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Actualiza el contador de mensajes sin leer de la cabecera.
+ */
+const loadUnreadCount = async () => {
+  const { data, error } = await fetchUnreadCount();
+
+  if (error) {
+    console.error('Error al contar los mensajes sin leer:', error);
+    return;
+  }
+
+  unreadMessagesBadge.textContent = data > 99 ? '99+' : data;
+  unreadMessagesBadge.hidden = data === 0;
+  unreadMessagesBadge.setAttribute('aria-label', `${data} sin leer`);
+};
+
+/**
+ * Reacciona a los mensajes nuevos o gestionados desde otra pantalla.
+ * @param {Object} payload - El payload de Supabase Realtime.
+ */
+const handleRemoteMessageChange = async (payload) => {
+  await loadUnreadCount();
+
+  // Solo los mensajes nuevos recargan la lista, para no cerrar el que se está leyendo.
+  if (payload.eventType === 'INSERT' && inboxDialog.open) {
+    await loadInboxMessages();
+  }
+};
+
+/**
+ * Abre la bandeja de entrada de los mensajes de contacto.
+ */
+const openInboxDialog = async () => {
+  inboxMessage.textContent = '';
+  inboxDialog.showModal();
+  await loadInboxMessages();
+};
+
+/**
+ * Carga los mensajes según los filtros de la bandeja.
+ */
+const loadInboxMessages = async () => {
+  const { search, status, archived } = inboxFiltersForm.elements;
+  inboxListContainer.innerHTML = '<p>Cargando mensajes... ✉️</p>';
+
+  const { data, error } = await fetchContactMessages({
+    searchTerm: search.value,
+    status: status.value,
+    archived: archived.checked
+  });
+
+  if (error) {
+    console.error('Error al cargar los mensajes:', error);
+    inboxListContainer.innerHTML = '<p>❌ Error al cargar los mensajes.</p>';
+    return;
+  }
+
+  renderInboxMessages(data, archived.checked);
+};
+
+/**
+ * Pinta la lista de mensajes. Cada uno se despliega para leerlo completo.
+ * @param {Array} messages
+ * @param {boolean} archived - Si la lista es la de archivados.
+ */
+const renderInboxMessages = (messages, archived) => {
+  if (messages.length === 0) {
+    inboxListContainer.innerHTML = `<p>${archived ? 'No hay mensajes archivados.' : 'No hay mensajes. 📭'}</p>`;
+    return;
+  }
+
+  inboxListContainer.innerHTML = `
+    <ul class="inbox-list">
+      ${messages.map(message => {
+        const replySubject = encodeURIComponent('Re: tu mensaje a Pan & Oro');
+        return `
+          <li>
+            <details class="inbox-item" data-id="${message.id}" data-status="${message.status}">
+              <summary>
+                <span>${escapeHtml(message.name)}</span>
+                <span class="inbox-status">${MESSAGE_STATUSES[message.status].label}</span>
+                <small>${new Date(message.created_at).toLocaleString('es-CO')}</small>
+              </summary>
+              <div class="inbox-item-body">
+                <a href="mailto:${escapeHtml(message.email)}">${escapeHtml(message.email)}</a>
+                <p>${escapeHtml(message.message)}</p>
+                <a href="mailto:${escapeHtml(message.email)}?subject=${replySubject}">↩️ Responder por correo</a>
+                <div class="inbox-item-actions">${renderInboxActions(message.status, archived)}</div>
+              </div>
+            </details>
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+};
+
+/**
+ * Botones de acción de un mensaje según su estado.
+ * @param {string} status
+ * @param {boolean} archived
+ * @returns {string}
+ */
+const renderInboxActions = (status, archived) => `
+  ${status !== 'answered' ? '<button type="button" data-action="answered">✅ Marcar respondido</button>' : ''}
+  ${status !== 'unread' ? '<button type="button" data-action="unread">Marcar sin leer</button>' : ''}
+  <button type="button" data-action="${archived ? 'unarchive' : 'archive'}">
+    ${archived ? '📤 Devolver a la bandeja' : '🗄️ Archivar'}
+  </button>
+`;
+
+/**
+ * Cambia el estado de un mensaje y actualiza su tarjeta sin recargar la lista.
+ * @param {HTMLElement} item - El `.inbox-item` del mensaje.
+ * @param {'unread'|'read'|'answered'} status
+ */
+const setMessageStatus = async (item, status) => {
+  const { error } = await updateMessageStatus(item.dataset.id, status);
+
+  if (error) {
+    console.error('Error al actualizar el mensaje:', error);
+    inboxMessage.textContent = '❌ No se pudo actualizar el mensaje.';
+    return;
+  }
+
+  item.dataset.status = status;
+  item.querySelector('.inbox-status').textContent = MESSAGE_STATUSES[status].label;
+  item.querySelector('.inbox-item-actions').innerHTML =
+    renderInboxActions(status, inboxFiltersForm.elements.archived.checked);
+  await loadUnreadCount();
+};
+
+/**
+ * Ejecuta una acción de la tarjeta de un mensaje.
+ * @param {HTMLButtonElement} button
+ */
+const handleInboxAction = async (button) => {
+  const item = button.closest('.inbox-item');
+  const { action } = button.dataset;
+  button.disabled = true;
+
+  if (action === 'archive' || action === 'unarchive') {
+    const { error } = await archiveMessage(item.dataset.id, action === 'archive');
+    if (error) {
+      console.error('Error al archivar el mensaje:', error);
+      inboxMessage.textContent = '❌ No se pudo archivar el mensaje.';
+      button.disabled = false;
+      return;
+    }
+
+    inboxMessage.textContent = action === 'archive' ? '✅ Mensaje archivado.' : '✅ Mensaje devuelto a la bandeja.';
+    item.closest('li').remove();
+    await loadUnreadCount();
+    return;
+  }
+
+  if (action === 'unread') {
+    // Se cierra antes para que el evento `toggle` no lo vuelva a marcar como leído.
+    item.open = false;
+  }
+  await setMessageStatus(item, action);
+  button.disabled = false;
+};
+
+// -----------------------------------------------------------------------------
+// --- Pedidos ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Actualiza el contador de pedidos recibidos (aún sin preparar) de la cabecera.
+ */
+const loadNewOrdersCount = async () => {
+  const { data, error } = await fetchNewOrdersCount();
+
+  if (error) {
+    console.error('Error al contar los pedidos nuevos:', error);
+    return;
+  }
+
+  newOrdersBadge.textContent = data > 99 ? '99+' : data;
+  newOrdersBadge.hidden = data === 0;
+  newOrdersBadge.setAttribute('aria-label', `${data} por preparar`);
+};
+
+/**
+ * Reacciona a los pedidos nuevos o actualizados desde otra pantalla.
+ * @param {Object} payload - El payload de Supabase Realtime.
+ */
+const handleRemoteOrderChange = async (payload) => {
+  await loadNewOrdersCount();
+
+  if (payload.eventType === 'INSERT') {
+    showToast(`🧾 Nuevo pedido #${payload.new.id} de ${payload.new.customer_name}`);
+  }
+
+  if (ordersDialog.open) {
+    await loadOrders();
+  }
+};
+
+/**
+ * Abre la lista de pedidos.
+ */
+const openOrdersDialog = async () => {
+  ordersMessage.textContent = '';
+  ordersDialog.showModal();
+  await loadOrders();
+};
+
+/**
+ * Carga los pedidos según los filtros del diálogo.
+ */
+const loadOrders = async () => {
+  const { status, pickupDate } = ordersFiltersForm.elements;
+
+  const { data, error } = await fetchOrders({ status: status.value, pickupDate: pickupDate.value });
+
+  if (error) {
+    console.error('Error al cargar los pedidos:', error);
+    ordersListContainer.innerHTML = '<p>❌ Error al cargar los pedidos.</p>';
+    return;
+  }
+
+  renderOrders(data);
+};
+
+/**
+ * Pinta la tabla de pedidos, con un selector para cambiar el estado de cada uno.
+ * @param {Array} orders
+ */
+const renderOrders = (orders) => {
+  if (orders.length === 0) {
+    ordersListContainer.innerHTML = '<p>No hay pedidos con estos filtros. 🧾</p>';
+    return;
+  }
+
+  const statusOptions = selectedStatus => Object.entries(ORDER_STATUSES).map(([status, { label }]) => `
+    <option value="${status}" ${status === selectedStatus ? 'selected' : ''}>${label}</option>
+  `).join('');
+
+  ordersListContainer.innerHTML = `
+    <table class="orders-table">
+      <thead>
+        <tr><th>#</th><th>Recogida</th><th>Cliente</th><th>Productos</th><th>Total</th><th>Estado</th></tr>
+      </thead>
+      <tbody>
+        ${orders.map(order => `
+          <tr data-id="${order.id}" data-status="${order.status}">
+            <td>${order.id}</td>
+            <td>
+              ${new Date(`${order.pickup_date}T00:00`).toLocaleDateString('es-CO', { weekday: 'short', day: 'numeric', month: 'short' })}
+              <br><small>${escapeHtml(order.pickup_slot)}</small>
+            </td>
+            <td>
+              ${escapeHtml(order.customer_name)}
+              <br><small><a href="tel:${escapeHtml(order.customer_phone)}">${escapeHtml(order.customer_phone)}</a></small>
+              <br><small><a href="mailto:${escapeHtml(order.customer_email)}">${escapeHtml(order.customer_email)}</a></small>
+            </td>
+            <td>
+              <ul>
+                ${order.order_items.map(item => `<li>${item.quantity} × ${escapeHtml(item.product_name)}</li>`).join('')}
+              </ul>
+              ${order.notes ? `<small class="order-notes">📝 ${escapeHtml(order.notes)}</small>` : ''}
+            </td>
+            <td>${formatCOP(calculateOrderTotal(order.order_items))}</td>
+            <td>
+              <select class="order-status-select" data-id="${order.id}" data-status="${order.status}"
+                aria-label="Estado del pedido ${order.id}">
+                ${statusOptions(order.status)}
+              </select>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+};
+
+/**
+ * Cambia el estado de un pedido desde su selector.
+ * @param {HTMLSelectElement} select
+ */
+const changeOrderStatus = async (select) => {
+  const { id: orderId, status: previousStatus } = select.dataset;
+  const status = select.value;
+
+  if (status === 'cancelled' && !confirm(`¿Cancelar el pedido #${orderId}? Sus productos vuelven al inventario.`)) {
+    select.value = previousStatus;
+    return;
+  }
+
+  select.disabled = true;
+  const { error } = await updateOrderStatus(orderId, status);
+  select.disabled = false;
+
+  if (error) {
+    console.error('Error al cambiar el estado del pedido:', error);
+    select.value = previousStatus;
+    // Reabrir un pedido cancelado vuelve a descontar su stock (23514: quedaría negativo).
+    ordersMessage.textContent = error.code === '23514'
+      ? '❌ No hay stock suficiente para reabrir el pedido.'
+      : '❌ No se pudo cambiar el estado del pedido.';
+    return;
+  }
+
+  select.dataset.status = status;
+  select.closest('tr').dataset.status = status;
+  ordersMessage.textContent = `✅ Pedido #${orderId}: ${ORDER_STATUSES[status].label.toLowerCase()}.`;
+  await loadNewOrdersCount();
+};
+
+// -----------------------------------------------------------------------------
+// --- Cambio de contraseña ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre el formulario para cambiar la contraseña del usuario de la sesión.
+ */
+const openPasswordDialog = () => {
+  changePasswordForm.reset();
+  changePasswordMessage.textContent = '';
+  changePasswordMessage.className = '';
+  updateStrengthMeter(changePasswordForm.querySelector('.password-strength'), '');
+  passwordDialog.showModal();
+};
+
+/**
+ * Valida y guarda la nueva contraseña.
+ */
+const submitPasswordChange = async () => {
+  const { current, password, confirmation } = changePasswordForm.elements;
+  const strength = updateStrengthMeter(changePasswordForm.querySelector('.password-strength'), password.value);
+
+  const showMessage = (message, type) => {
+    changePasswordMessage.textContent = message;
+    changePasswordMessage.className = type;
+  };
+
+  if (!current.value) {
+    showMessage('❌ Escribe tu contraseña actual.', 'error');
+    return;
+  }
+
+  if (!strength.isValid) {
+    showMessage(`❌ La nueva contraseña necesita: ${strength.missing.join(', ').toLowerCase()}.`, 'error');
+    return;
+  }
+
+  if (password.value !== confirmation.value) {
+    showMessage('❌ Las contraseñas nuevas no coinciden.', 'error');
+    return;
+  }
+
+  if (password.value === current.value) {
+    showMessage('❌ La nueva contraseña debe ser distinta de la actual.', 'error');
+    return;
+  }
+
+  const submitButton = changePasswordForm.querySelector('button[type="submit"]');
+  submitButton.disabled = true;
+  showMessage('Guardando...', 'success');
+
+  const error = await changePassword(current.value, password.value);
+  submitButton.disabled = false;
+
+  if (error) {
+    console.error('Error al cambiar la contraseña:', error);
+    // Los errores propios de `changePassword` ya vienen en español; los de Supabase se traducen.
+    showMessage(`❌ ${isAuthError(error) ? getAuthErrorMessage(error) : error.message}`, 'error');
+    return;
+  }
+
+  changePasswordForm.reset();
+  updateStrengthMeter(changePasswordForm.querySelector('.password-strength'), '');
+  showMessage('✅ Contraseña actualizada.', 'success');
+};
+
+// -----------------------------------------------------------------------------
+// --- Analítica ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre la analítica del inventario y carga sus gráficos.
+ */
+const openAnalyticsDialog = async () => {
+  analyticsDialog.showModal();
+  await loadAnalytics();
+};
+
+/**
+ * Consulta los datos agregados y dibuja los gráficos de la analítica.
+ */
+const loadAnalytics = async () => {
+  analyticsMessage.textContent = 'Cargando analítica... 📊';
+
+  const [stockResult, monthsResult, movementsResult] = await Promise.all([
+    fetchStockByCategory(),
+    fetchProductsAddedByMonth(12),
+    fetchStockMovementTrend(30)
+  ]);
+
+  const failed = [stockResult, monthsResult, movementsResult].filter(result => result.error);
+  if (failed.length > 0) {
+    console.error('Error al cargar la analítica:', failed.map(result => result.error));
+    analyticsMessage.textContent = '❌ No se pudo cargar parte de la analítica.';
+  } else {
+    analyticsMessage.textContent = '';
+  }
+
+  if (stockResult.data) {
+    renderAnalyticsSummary(stockResult.data);
+
+    document.getElementById('chart-stock-by-category').innerHTML = createHorizontalBarChart(
+      stockResult.data.map(row => ({ label: row.category || 'Sin categoría', value: row.total_stock })),
+      { title: 'Stock por categoría', color: '#6D4C41', formatValue: value => `${value} u.` }
+    );
+
+    document.getElementById('chart-low-stock').innerHTML = createHorizontalBarChart(
+      stockResult.data
+        .filter(row => row.low_stock_count > 0)
+        .sort((a, b) => b.low_stock_count - a.low_stock_count)
+        .map(row => ({ label: row.category || 'Sin categoría', value: row.low_stock_count })),
+      { title: 'Productos con stock bajo por categoría', color: '#D32F2F' }
+    );
+  }
+
+  if (monthsResult.data) {
+    document.getElementById('chart-products-by-month').innerHTML = createColumnChart(
+      monthsResult.data.map(({ month, count }) => ({ label: formatMonthLabel(month), value: count })),
+      { title: 'Productos agregados por mes' }
+    );
+  }
+
+  if (movementsResult.data) {
+    document.getElementById('chart-movement-trend').innerHTML = createLineChart(
+      movementsResult.data.map(({ day }) => `${day.slice(8, 10)}/${day.slice(5, 7)}`),
+      [
+        { name: 'Entradas', color: '#388E3C', values: movementsResult.data.map(({ unitsIn }) => unitsIn) },
+        { name: 'Salidas', color: '#D32F2F', values: movementsResult.data.map(({ unitsOut }) => unitsOut) }
+      ],
+      { title: 'Movimientos de stock (últimos 30 días)', labelEvery: 5 }
+    );
+  }
+};
+
+/**
+ * Muestra los totales del inventario activo sobre los gráficos.
+ * @param {Array<{product_count: number, total_stock: number, low_stock_count: number}>} stockByCategory
+ */
+const renderAnalyticsSummary = (stockByCategory) => {
+  const sum = key => stockByCategory.reduce((total, row) => total + row[key], 0);
+
+  analyticsSummary.innerHTML = `
+    <div><strong>${sum('product_count')}</strong><span>Productos activos</span></div>
+    <div><strong>${sum('total_stock')}</strong><span>Unidades en stock</span></div>
+    <div><strong>${stockByCategory.length}</strong><span>Categorías</span></div>
+    <div class="${sum('low_stock_count') > 0 ? 'has-alerts' : ''}">
+      <strong>${sum('low_stock_count')}</strong><span>Con stock bajo</span>
+    </div>
+  `;
+};
+
+/**
+ * Convierte `AAAA-MM-01` en una etiqueta corta como "ene 26".
+ * @param {string} month
+ * @returns {string}
+ */
+const formatMonthLabel = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1)
+    .toLocaleDateString('es-CO', { month: 'short', year: '2-digit' })
+    .replace('.', '');
+};
+
+// -----------------------------------------------------------------------------
+// --- Auditoría ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Abre la auditoría y carga la lista de usuarios para el filtro.
+ */
+const openAuditDialog = async () => {
+  auditDialog.showModal();
+
+  const { data: users, error } = await fetchAuditUsers();
+  if (error) {
+    console.error('Error al cargar los usuarios de la auditoría:', error);
+  } else {
+    const userSelect = auditFiltersForm.elements.user;
+    const selectedUser = userSelect.value;
+    userSelect.innerHTML = '<option value="">Todos los usuarios</option>' + users
+      .map(email => `<option value="${escapeHtml(email)}">${escapeHtml(email)}</option>`)
+      .join('');
+    userSelect.value = selectedUser;
+  }
+
+  await loadAuditLog();
+};
+
+/**
+ * Carga la auditoría con los filtros del formulario.
+ * @param {{append?: boolean}} [options] - `append` añade la página siguiente a la lista.
+ */
+const loadAuditLog = async ({ append = false } = {}) => {
+  auditPage = append ? auditPage + 1 : 1;
+
+  const filters = {
+    userEmail: auditFiltersForm.elements.user.value,
+    productSearch: auditFiltersForm.elements.product.value.trim(),
+    from: auditFiltersForm.elements.from.value,
+    to: auditFiltersForm.elements.to.value
+  };
+
+  if (!append) {
+    auditListContainer.innerHTML = '<p>Cargando auditoría... 📜</p>';
+  }
+  loadMoreAuditButton.hidden = true;
+
+  const { data, count, error } = await fetchAuditLog(filters, auditPage, auditPageSize);
+
+  if (error) {
+    console.error('Error al cargar la auditoría:', error);
+    auditListContainer.innerHTML = '<p>❌ Error al cargar la auditoría.</p>';
+    return;
+  }
+
+  if (!append && data.length === 0) {
+    auditListContainer.innerHTML = '<p>No hay cambios registrados con estos filtros.</p>';
+    return;
+  }
+
+  if (!append) {
+    auditListContainer.innerHTML = `
+      <p class="audit-count">${count} cambios registrados</p>
+      <table class="audit-table">
+        <thead>
+          <tr><th>Fecha</th><th>Usuario</th><th>Acción</th><th>Producto</th><th>Cambios</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+  }
+
+  auditListContainer.querySelector('tbody').insertAdjacentHTML('beforeend', data.map(entry => `
+    <tr>
+      <td>${new Date(entry.created_at).toLocaleString('es-CO')}</td>
+      <td>${escapeHtml(entry.user_email || 'Sistema')}</td>
+      <td><span class="audit-action audit-action-${entry.action}">${AUDIT_ACTIONS[entry.action]}</span></td>
+      <td>${escapeHtml(entry.product_name || `#${entry.product_id}`)}</td>
+      <td>${renderAuditChanges(entry)}</td>
+    </tr>
+  `).join(''));
+
+  loadMoreAuditButton.hidden = auditPage * auditPageSize >= count;
+};
+
+/**
+ * Describe los valores antes y después de un registro de auditoría.
+ * @param {Object} entry - Un registro de `product_audit_log`.
+ * @returns {string} HTML con un elemento por campo cambiado.
+ */
+const renderAuditChanges = (entry) => {
+  const fields = entry.changed_fields.filter(field => field in AUDIT_FIELD_LABELS);
+  if (fields.length === 0) return '';
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field.endsWith('_at')) return new Date(value).toLocaleString('es-CO');
+    return escapeHtml(value);
+  };
+
+  return `
+    <ul class="audit-changes">
+      ${fields.map(field => {
+        const before = formatValue(field, entry.old_values?.[field]);
+        const after = formatValue(field, entry.new_values?.[field]);
+        return `<li><strong>${AUDIT_FIELD_LABELS[field]}:</strong> ${
+          entry.action === 'create' ? after : entry.action === 'purge' ? before : `${before} → ${after}`
+        }</li>`;
+      }).join('')}
+    </ul>
+  `;
+};
+
+/**
+ * Renderiza los controles de paginación, con la valoración del inventario encima.
+ */
+const renderPaginationControls = () => {
+  // Calculamos el número total de páginas
+  const totalPages = Math.ceil(totalProducts / itemsPerPage);
+
+  // Creamos el contenedor de paginación
+  const paginationContainer = document.createElement('div');
+  paginationContainer.className = 'pagination-container';
+  paginationContainer.innerHTML = '<div class="valuation-summary" aria-live="polite"></div>';
+  productListContainer.appendChild(paginationContainer);
+
+  // La valoración puede estar ya en caché (por ejemplo, al cambiar de página).
+  const cachedValuation = valuationCache.get(getPageCacheKey(inventoryFilters, 1));
+  if (cachedValuation) {
+    renderValuationSummary(cachedValuation);
+  }
+
+  // Si solo hay una página o menos, no mostramos controles
+  if (totalPages <= 1) {
+    return;
+  }
+
+  paginationContainer.insertAdjacentHTML('beforeend', `
+    <div class="pagination-info">
+      Página ${currentPage} de ${totalPages} (${totalProducts} productos total)
+    </div>
+    <div class="pagination-buttons">
+      <button id="prev-page" ${currentPage === 1 ? 'disabled' : ''}>← Anterior</button>
+      <span class="page-numbers"></span>
+      <button id="next-page" ${currentPage === totalPages ? 'disabled' : ''}>Siguiente →</button>
+    </div>
+  `);
+
+  // Añadimos los números de página
+  const pageNumbersContainer = paginationContainer.querySelector('.page-numbers');
+  const startPage = Math.max(1, currentPage - 2);
+  const endPage = Math.min(totalPages, currentPage + 2);
+
+  for (let i = startPage; i <= endPage; i++) {
+    const pageButton = document.createElement('button');
+    pageButton.textContent = i;
+    pageButton.className = i === currentPage ? 'page-number active' : 'page-number';
+    pageButton.addEventListener('click', () => {
+      loadPage(i);
+    });
+    pageNumbersContainer.appendChild(pageButton);
+  }
+
+  // Añadimos eventos a los botones de anterior y siguiente
+  document.getElementById('prev-page')?.addEventListener('click', () => {
+    if (currentPage > 1) {
+      loadPage(currentPage - 1);
+    }
+  });
+
+  document.getElementById('next-page')?.addEventListener('click', () => {
+    if (currentPage < totalPages) {
+      loadPage(currentPage + 1);
+    }
+  });
+};
+
+/**
+ * Muestra los totales de valoración (unidades × costo) del inventario filtrado.
+ * @param {{product_count: number, total_units: number, total_cost: number,
+ *   total_retail: number, products_without_cost: number}} valuation
+ */
+const renderValuationSummary = (valuation) => {
+  const summary = productListContainer.querySelector('.valuation-summary');
+  if (!summary || !valuation) return;
+
+  const withoutCost = Number(valuation.products_without_cost);
+  summary.innerHTML = `
+    <span><strong>${Number(valuation.total_units)}</strong> unidades</span>
+    <span>Valor al costo: <strong>${formatCOP(valuation.total_cost)}</strong></span>
+    <span>Valor de venta: <strong>${formatCOP(valuation.total_retail)}</strong></span>
+    ${withoutCost > 0 ? `<span class="valuation-warning">⚠️ ${withoutCost} producto(s) sin costo</span>` : ''}
+  `;
+};
+
+// -----------------------------------------------------------------------------
+// --- 4. MANEJADORES DE EVENTOS (EVENT LISTENERS) ---
+// -----------------------------------------------------------------------------
+
+// Evento para el formulario de agregar un nuevo producto.
+addProductForm.addEventListener('submit', async (e) => {
+  e.preventDefault(); // Evitamos que la página se recargue.
+
+  // Obtenemos los valores de los campos del formulario.
+  const productName = document.getElementById('product-name').value.trim();
+  const productCategory = document.getElementById('product-category').value;
+  const productStock = document.getElementById('product-stock').value;
+  const productPrice = document.getElementById('product-price').value.trim();
+  const productCost = document.getElementById('product-cost').value.trim();
+  const productTax = document.getElementById('product-tax').value.trim();
+  const productImage = document.getElementById('product-image').files[0];
+
+  const validationError = validateProductInput({
+    name: productName,
+    category: productCategory.trim(),
+    stock: productStock,
+    price: productPrice,
+    unitCost: productCost,
+    taxRate: productTax
+  }) || (productImage && validateImageFile(productImage));
+  if (validationError) {
+    addMessage.textContent = `❌ ${validationError}`;
+    return;
+  }
+
+  const offlineValues = {
+    name: productName,
+    category: productCategory.trim(),
+    stock: parseInt(productStock, 10),
+    price: parseDecimal(productPrice),
+    unit_cost: parseDecimal(productCost),
+    tax_rate: parseDecimal(productTax) ?? 0
+  };
+
+  if (!navigator.onLine) {
+    await queueOfflineInsert(offlineValues, productImage);
+    return;
+  }
+
+  const { category, cancelled, error: categoryError } = await resolveProductCategory(productCategory.trim());
+  if (cancelled) return;
+  if (categoryError) {
+    addMessage.textContent = `❌ ${categoryError}`;
+    return;
+  }
+
+  // Insertamos el nuevo producto con stock 0; el stock inicial entra como
+  // movimiento del libro para que quede registrado quién y cuándo lo cargó.
+  const { data: newProduct, error } = await supabase
+    .from('products')
+    .insert([{
+        name: productName,
+        category,
+        stock: 0,
+        price: parseDecimal(productPrice),
+        unit_cost: parseDecimal(productCost),
+        tax_rate: parseDecimal(productTax) ?? 0
+    }])
+    .select()
+    .single();
+
+  const initialStock = parseInt(productStock, 10); // Convertimos el stock a número.
+  let movementError = null;
+  if (!error && initialStock > 0) {
+    ({ error: movementError } = await recordStockMovement({
+      productId: newProduct.id,
+      reason: 'correction',
+      quantity: initialStock,
+      note: 'Stock inicial'
+    }));
+  }
+
+  // La imagen se sube cuando el producto ya existe, porque su carpeta es el ID.
+  let imageError = null;
+  if (!error && productImage) {
+    addMessage.textContent = 'Subiendo imagen...';
+    ({ error: imageError } = await uploadProductImage(newProduct, productImage));
+  }
+
+  if (error && isOfflineError(error)) {
+    await queueOfflineInsert(offlineValues, productImage);
+  } else if (error) {
+    console.error('Error al agregar el producto:', error);
+    addMessage.textContent = '❌ Error al agregar el producto.';
+  } else if (movementError) {
+    console.error('Error al registrar el stock inicial:', movementError);
+    addMessage.textContent = '⚠️ Producto agregado, pero no se pudo registrar el stock inicial.';
+    await fetchAndDisplayProducts();
+  } else if (imageError) {
+    console.error('Error al subir la imagen del producto:', imageError);
+    addMessage.textContent = '⚠️ Producto agregado, pero no se pudo subir la imagen.';
+    addProductForm.reset();
+    await fetchAndDisplayProducts();
+  } else {
+    addMessage.textContent = '✅ ¡Producto agregado con éxito!';
+    addProductForm.reset(); // Limpiamos los campos del formulario.
+    await fetchAndDisplayProducts(); // Recargamos la lista para ver el nuevo producto.
+    
+    // Ocultamos el mensaje de éxito después de 2 segundos.
+    setTimeout(() => {
+      addMessage.textContent = '';
+    }, 2000);
+  }
+});
+
+// Evento para la barra de búsqueda (se activa con cada tecla presionada).
+searchBar.addEventListener('input', (e) => {
+  // La búsqueda no distingue mayúsculas ni tildes ("pan" encuentra "Pán de bono").
+  // Esperamos a que el usuario deje de escribir para no consultar en cada tecla.
+  inventoryFilters.searchTerm = e.target.value;
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(applyFilters, searchDebounceDelay);
+});
+
+// Eventos del panel de filtros: categorías, rango de stock y orden.
+filtersForm.addEventListener('change', () => {
+  readFiltersForm();
+  applyFilters();
+});
+
+filtersForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  readFiltersForm();
+  applyFilters();
+});
+
+// Eventos de selección y acciones en lote.
+productListContainer.addEventListener('change', (e) => {
+  if (e.target && e.target.classList.contains('select-product')) {
+    setProductSelected(e.target.getAttribute('data-id'), e.target.checked);
+    renderBulkActionsBar();
+  }
+});
+
+selectPageCheckbox.addEventListener('change', () => {
+  pageProducts.forEach(product => setProductSelected(String(product.id), selectPageCheckbox.checked));
+  renderBulkActionsBar();
+});
+
+document.getElementById('select-all-filtered-button').addEventListener('click', selectAllFiltered);
+document.getElementById('clear-selection-button').addEventListener('click', clearSelection);
+
+bulkActionForm.elements.action.addEventListener('change', () => {
+  const action = bulkActionForm.elements.action.value;
+  const valueInput = bulkActionForm.elements['target-value'];
+  valueInput.hidden = !BULK_ACTIONS[action].needsValue;
+  valueInput.type = action === 'stock' ? 'number' : 'text';
+  valueInput.placeholder = action === 'stock' ? 'Nuevo stock' : 'Nueva categoría';
+  if (action === 'category') {
+    valueInput.setAttribute('list', 'category-options');
+  } else {
+    valueInput.removeAttribute('list');
+  }
+  valueInput.value = '';
+});
+
+bulkActionForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await applyBulkAction();
+});
+
+filtersForm.addEventListener('reset', () => {
+  // El evento `reset` ocurre antes de limpiar los campos, así que esperamos un ciclo.
+  setTimeout(() => {
+    inventoryFilters = { ...createDefaultFilters(), searchTerm: inventoryFilters.searchTerm };
+    renderCategoryFilters();
+    applyFilters();
+  });
+});
+
+// Evento para editar, cancelar y eliminar un producto (usando delegación de eventos).
+productListContainer.addEventListener('click', async (e) => {
+  // Clic en el botón de editar: cambiamos la tarjeta al modo de edición.
+  if (e.target && e.target.classList.contains('edit-button')) {
+    const productId = e.target.getAttribute('data-id');
+    const product = findProduct(productId);
+    if (product) {
+      editingProductIds.add(productId);
+      renderProductEditForm(e.target.closest('.item-card'), product);
+    }
+    return;
+  }
+
+  // Clic en cancelar: descartamos los cambios y volvemos a la vista normal.
+  if (e.target && e.target.classList.contains('cancel-edit-button')) {
+    const productId = e.target.getAttribute('data-id');
+    const product = findProduct(productId);
+    editingProductIds.delete(productId);
+    if (product) {
+      renderProductCard(e.target.closest('.item-card'), product);
+    }
+    return;
+  }
+
+  // Clic en movimientos: abrimos el historial y el formulario de ajuste.
+  if (e.target && e.target.classList.contains('stock-button')) {
+    await openStockDialog(e.target.getAttribute('data-id'));
+    return;
+  }
+
+  // Clic en eliminar: el producto va a la papelera y se puede deshacer.
+  if (e.target && e.target.classList.contains('delete-button')) {
+    await deleteProduct(e.target.getAttribute('data-id'));
+  }
+});
+
+// Evento para guardar los cambios de un producto en edición.
+productListContainer.addEventListener('submit', async (e) => {
+  if (e.target && e.target.classList.contains('edit-product-form')) {
+    e.preventDefault();
+    await updateProduct(e.target);
+  }
+});
+
+// Evento para guardar los mínimos de stock por categoría.
+categoryThresholdsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await saveCategoryThresholds();
+});
+
+// Eventos de exportación e importación.
+document.getElementById('export-csv-button').addEventListener('click', () => exportInventory('csv'));
+document.getElementById('export-json-button').addEventListener('click', () => exportInventory('json'));
+
+importFileInput.addEventListener('change', async () => {
+  const [file] = importFileInput.files;
+  if (file) {
+    await startImport(file);
+  }
+  // Permitimos volver a elegir el mismo archivo.
+  importFileInput.value = '';
+});
+
+importMappingForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await previewImport();
+});
+
+importPreviewContainer.addEventListener('click', async (e) => {
+  if (e.target && e.target.id === 'confirm-import-button') {
+    await confirmImport();
+  }
+});
+
+document.getElementById('close-import-dialog').addEventListener('click', () => {
+  importDialog.close();
+});
+
+// Eventos de la auditoría.
+document.getElementById('open-audit-button').addEventListener('click', openAuditDialog);
+
+document.getElementById('close-audit-dialog').addEventListener('click', () => {
+  auditDialog.close();
+});
+
+auditFiltersForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await loadAuditLog();
+});
+
+auditFiltersForm.addEventListener('reset', () => {
+  // El evento `reset` ocurre antes de limpiar los campos, así que esperamos un ciclo.
+  setTimeout(loadAuditLog);
+});
+
+loadMoreAuditButton.addEventListener('click', () => loadAuditLog({ append: true }));
+
+// Eventos del cambio de contraseña.
+document.getElementById('open-password-button').addEventListener('click', openPasswordDialog);
+
+document.getElementById('close-password-dialog').addEventListener('click', () => {
+  passwordDialog.close();
+});
+
+changePasswordForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await submitPasswordChange();
+});
+
+changePasswordForm.elements.password.addEventListener('input', (e) => {
+  updateStrengthMeter(changePasswordForm.querySelector('.password-strength'), e.target.value);
+});
+
+// Eventos de los pedidos.
+document.getElementById('open-orders-button').addEventListener('click', openOrdersDialog);
+
+document.getElementById('close-orders-dialog').addEventListener('click', () => {
+  ordersDialog.close();
+});
+
+ordersFiltersForm.addEventListener('submit', (e) => e.preventDefault());
+ordersFiltersForm.addEventListener('change', loadOrders);
+
+document.getElementById('orders-today-button').addEventListener('click', async () => {
+  ordersFiltersForm.elements.pickupDate.value = getPickupDateRange().min;
+  await loadOrders();
+});
+
+ordersListContainer.addEventListener('change', async (e) => {
+  if (e.target.classList.contains('order-status-select')) {
+    await changeOrderStatus(e.target);
+  }
+});
+
+// Eventos de la bandeja de mensajes.
+document.getElementById('open-inbox-button').addEventListener('click', openInboxDialog);
+
+document.getElementById('close-inbox-dialog').addEventListener('click', () => {
+  inboxDialog.close();
+});
+
+inboxFiltersForm.addEventListener('submit', (e) => e.preventDefault());
+// La búsqueda ya recarga con su propio `input`; su `change` al perder el foco no.
+inboxFiltersForm.addEventListener('change', async (e) => {
+  if (e.target !== inboxFiltersForm.elements.search) {
+    await loadInboxMessages();
+  }
+});
+
+let inboxSearchTimer = null;
+inboxFiltersForm.elements.search.addEventListener('input', () => {
+  clearTimeout(inboxSearchTimer);
+  inboxSearchTimer = setTimeout(loadInboxMessages, searchDebounceDelay);
+});
+
+// Abrir un mensaje sin leer lo marca como leído (`toggle` no burbujea, así que se captura).
+inboxListContainer.addEventListener('toggle', async (e) => {
+  const item = e.target;
+  if (item.classList?.contains('inbox-item') && item.open && item.dataset.status === 'unread') {
+    await setMessageStatus(item, 'read');
+  }
+}, true);
+
+inboxListContainer.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (button) {
+    await handleInboxAction(button);
+  }
+});
+
+// Eventos de la gestión de usuarios.
+document.getElementById('open-users-button').addEventListener('click', openUsersDialog);
+
+document.getElementById('close-users-dialog').addEventListener('click', () => {
+  usersDialog.close();
+});
+
+inviteUserForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await submitInvitation();
+});
+
+usersListContainer.addEventListener('change', async (e) => {
+  if (e.target.classList.contains('user-role-select')) {
+    await changeUserRole(e.target);
+  }
+});
+
+// Eventos de la analítica.
+document.getElementById('open-analytics-button').addEventListener('click', openAnalyticsDialog);
+
+document.getElementById('close-analytics-dialog').addEventListener('click', () => {
+  analyticsDialog.close();
+});
+
+// Eventos del administrador de categorías.
+document.getElementById('open-categories-button').addEventListener('click', openCategoriesDialog);
+
+document.getElementById('close-categories-dialog').addEventListener('click', () => {
+  categoriesDialog.close();
+});
+
+createCategoryForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await submitNewCategory();
+});
+
+categoriesListContainer.addEventListener('click', async (e) => {
+  const row = e.target.closest('tr[data-id]');
+
+  if (e.target.classList.contains('rename-category-button')) {
+    await renameCategoryFromRow(row);
+  } else if (e.target.classList.contains('merge-category-button')) {
+    const targetName = row.querySelector('.merge-target-select').value;
+    const source = managedCategories.find(({ id }) => id === Number(row.dataset.id));
+    if (targetName && source) {
+      await mergeCategoriesInto([source.name], targetName);
+    }
+  } else if (e.target.classList.contains('delete-category-button')) {
+    await deleteCategoryFromRow(row);
+  } else if (e.target.classList.contains('merge-duplicates-button')) {
+    const [target, ...sources] = duplicateCategoryGroups[Number(e.target.dataset.group)];
+    await mergeCategoriesInto(sources.map(({ name }) => name), target.name);
+  }
+});
+
+// Eventos de la papelera.
+document.getElementById('open-trash-button').addEventListener('click', openTrashDialog);
+
+document.getElementById('close-trash-dialog').addEventListener('click', () => {
+  trashDialog.close();
+});
+
+trashListContainer.addEventListener('click', async (e) => {
+  if (e.target && e.target.classList.contains('restore-button')) {
+    await restoreFromTrash(e.target.getAttribute('data-id'));
+  } else if (e.target && e.target.classList.contains('permanent-delete-button')) {
+    await deleteFromTrash(e.target.getAttribute('data-id'));
+  }
+});
+
+// Eventos del diálogo de movimientos de stock.
+stockMovementForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  await submitStockMovement();
+});
+
+stockHistoryContainer.addEventListener('click', async (e) => {
+  if (e.target && e.target.id === 'reconcile-stock-button') {
+    await reconcileOpenProduct();
+  }
+});
+
+document.getElementById('close-stock-dialog').addEventListener('click', () => {
+  stockDialog.close();
+});
+
+stockDialog.addEventListener('close', () => {
+  stockDialogProductId = null;
+});
+
+// Evento para el botón de cerrar sesión.
+logoutButton.addEventListener('click', async () => {
+  unsubscribeFromProducts?.();
+  unsubscribeFromMessages?.();
+  unsubscribeFromOrders?.();
+  // Cierra la sesión en todas las pestañas y nos lleva al login.
+  const { error } = await signOut();
+  if (error) {
+    console.error('Error al cerrar sesión:', error);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// --- 5. SINCRONIZACIÓN EN TIEMPO REAL ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Aplica un cambio de `products` hecho en otra pantalla. Las actualizaciones y
+ * eliminaciones se fusionan al momento en la página actual; después se recarga
+ * la página en segundo plano (mismos filtros, búsqueda y página) para que
+ * entren los productos nuevos y se reajuste el total.
+ * @param {Object} payload - El payload de Supabase Realtime.
+ */
+const handleRemoteProductChange = (payload) => {
+  const { eventType } = payload;
+
+  if (eventType === 'UPDATE') {
+    mergeRemoteUpdate(payload.new);
+  } else if (eventType === 'DELETE') {
+    mergeRemoteDelete(payload.old);
+  }
+
+  // Las páginas y la valoración en caché ya no son fiables.
+  pageCache.clear();
+  valuationCache.clear();
+
+  clearTimeout(realtimeSyncTimer);
+  realtimeSyncTimer = setTimeout(async () => {
+    await Promise.all([
+      loadPage(currentPage, { silent: true }),
+      refreshSidePanels()
+    ]);
+  }, realtimeSyncDelay);
+};
+
+/**
+ * Fusiona un producto actualizado remotamente en la página actual.
+ * Si el producto se está editando, no se toca el formulario: solo se avisa.
+ * @param {Object} remoteProduct
+ */
+const mergeRemoteUpdate = (remoteProduct) => {
+  // Un producto enviado a la papelera se trata como eliminado.
+  if (remoteProduct.deleted_at) {
+    mergeRemoteDelete(remoteProduct);
+    return;
+  }
+
+  const productId = String(remoteProduct.id);
+  const localProduct = findProduct(productId);
+  if (!localProduct) return;
+
+  pageProducts = pageProducts.map(product => String(product.id) === productId ? remoteProduct : product);
+
+  const card = productListContainer.querySelector(`.item-card[data-id="${productId}"]`);
+  if (!card) return;
+
+  if (editingProductIds.has(productId)) {
+    showCardMessage(card, '⚠️ Otro usuario modificó este producto mientras lo editabas.', 'error');
+  } else {
+    renderProductCard(card, remoteProduct);
+  }
+
+  if (stockDialogProductId === productId) {
+    loadStockHistory();
+  }
+};
+
+/**
+ * Quita de la página actual un producto eliminado remotamente.
+ * @param {Object} oldProduct - La fila eliminada (al menos con su `id`).
+ */
+const mergeRemoteDelete = (oldProduct) => {
+  const productId = String(oldProduct.id);
+  if (!findProduct(productId)) return;
+
+  pageProducts = pageProducts.filter(product => String(product.id) !== productId);
+  totalProducts = Math.max(0, totalProducts - 1);
+
+  if (editingProductIds.has(productId)) {
+    editingProductIds.delete(productId);
+    listMessage.textContent = '⚠️ Otro usuario eliminó un producto que estabas editando.';
+  }
+
+  if (stockDialogProductId === productId) {
+    stockDialog.close();
+  }
+
+  productListContainer.querySelector(`.item-card[data-id="${productId}"]`)?.remove();
+};
+
+// Cancelamos la suscripción al salir de la página.
+window.addEventListener('beforeunload', () => {
+  unsubscribeFromProducts?.();
+  unsubscribeFromMessages?.();
+  unsubscribeFromOrders?.();
+});
+
+// -----------------------------------------------------------------------------
+// --- 6. MODO SIN CONEXIÓN ---
+// -----------------------------------------------------------------------------
+
+/**
+ * Marca el dashboard como conectado o sin conexión y actualiza el indicador.
+ * @param {boolean} offline
+ */
+const setOffline = (offline) => {
+  if (isOffline === offline) return;
+  isOffline = offline;
+  renderSyncStatus();
+};
+
+/**
+ * Muestra la copia local de una página cuando no se puede consultar el servidor.
+ * @param {number} page
+ * @param {string} cacheKey - Clave de `getPageCacheKey`.
+ */
+const showOfflinePage = async (page, cacheKey) => {
+  setOffline(true);
+
+  const { data: snapshot } = await loadPageSnapshot(cacheKey);
+  if (!snapshot) {
+    listMessage.textContent = '📴 Sin conexión y sin una copia guardada de esta página del inventario.';
+    return;
+  }
+
+  // Se muestra en silencio para que el aviso de "sin conexión" no se borre.
+  showPage(page, snapshot.products, snapshot.count, true);
+  listMessage.textContent =
+    `📴 Sin conexión: mostrando el inventario guardado el ${new Date(snapshot.savedAt).toLocaleString('es-CO')}.`;
+};
+
+/**
+ * Pone en cola un producto agregado sin conexión.
+ * @param {Object} values - Valores para `queueProductInsert`.
+ * @param {File|undefined} image - La imagen elegida, que no se puede subir sin conexión.
+ */
+const queueOfflineInsert = async (values, image) => {
+  setOffline(true);
+
+  if (image) {
+    addMessage.textContent = '❌ Sin conexión no se pueden subir imágenes. Quita la imagen o espera a tener conexión.';
+    return;
+  }
+
+  const { error } = await queueProductInsert(values);
+  if (error) {
+    console.error('Error al guardar el producto sin conexión:', error);
+    addMessage.textContent = '❌ Sin conexión y no se pudo guardar el producto en este equipo.';
+    return;
+  }
+
+  addMessage.textContent = '📴 Sin conexión: el producto se agregará al recuperar la conexión.';
+  addProductForm.reset();
+  await renderSyncStatus();
+};
+
+/**
+ * Pone en cola el envío a la papelera de un producto hecho sin conexión y lo
+ * quita de la lista local.
+ * @param {Object} product
+ */
+const queueOfflineDelete = async (product) => {
+  setOffline(true);
+
+  const { error } = await queueProductDelete(product);
+  if (error) {
+    console.error('Error al guardar la eliminación sin conexión:', error);
+    alert('Sin conexión y no se pudo guardar la eliminación en este equipo.');
+    return;
+  }
+
+  const productId = String(product.id);
+  selectedProductIds.delete(productId);
+  editingProductIds.delete(productId);
+  mergeRemoteDelete(product);
+
+  // La copia local de la página tampoco debe volver a mostrarlo.
+  const cacheKey = getPageCacheKey(inventoryFilters, currentPage);
+  pageCache.set(cacheKey, { products: pageProducts, count: totalProducts });
+  savePageSnapshot(cacheKey, { products: pageProducts, count: totalProducts });
+  renderProductsWithPagination();
+
+  showToast(`📴 "${product.name}" se enviará a la papelera al recuperar la conexión.`);
+  await renderSyncStatus();
+};
+
+/**
+ * Envía los cambios hechos sin conexión y recarga el inventario si se aplicó alguno.
+ * @returns {Promise<boolean>} Si ya se recargó el inventario.
+ */
+const syncPendingChanges = async () => {
+  if (isSyncing || !navigator.onLine) {
+    await renderSyncStatus();
+    return false;
+  }
+
+  isSyncing = true;
+  await renderSyncStatus();
+
+  const { applied, conflicts, offline } = await replayPendingChanges();
+
+  isSyncing = false;
+  setOffline(offline);
+
+  if (applied > 0) {
+    showToast(`✅ Se sincronizaron ${applied} cambios hechos sin conexión.`);
+    await fetchAndDisplayProducts();
+  }
+
+  if (conflicts > 0) {
+    showToast(`⚠️ ${conflicts} cambios hechos sin conexión chocan con cambios de otro equipo. Revísalos en el indicador de sincronización.`);
+  }
+
+  await renderSyncStatus();
+  if (syncDialog.open) {
+    await renderPendingChanges();
+  }
+
+  return applied > 0;
+};
+
+/**
+ * Actualiza el indicador de sincronización de la cabecera.
+ */
+const renderSyncStatus = async () => {
+  const { data: changes } = await getPendingChanges();
+  const pending = (changes || []).filter(change => change.status === 'pending').length;
+  const conflicts = (changes || []).filter(change => change.status === 'conflict').length;
+
+  let state = 'synced';
+  let text = '✅ Sincronizado';
+
+  if (isSyncing) {
+    state = 'syncing';
+    text = '🔄 Sincronizando...';
+  } else if (conflicts > 0) {
+    state = 'conflict';
+    text = `⚠️ ${conflicts} conflictos`;
+  } else if (isOffline || !navigator.onLine) {
+    state = 'offline';
+    text = `📴 Sin conexión${pending > 0 ? ` · ${pending} pendientes` : ''}`;
+  } else if (pending > 0) {
+    state = 'pending';
+    text = `⏳ ${pending} pendientes`;
+  }
+
+  syncStatusButton.dataset.state = state;
+  syncStatusButton.textContent = text;
+};
+
+/**
+ * Abre el detalle de los cambios pendientes y en conflicto.
+ */
+const openSyncDialog = async () => {
+  syncMessage.textContent = '';
+  syncDialog.showModal();
+  await renderPendingChanges();
+};
+
+/**
+ * Lista los cambios hechos sin conexión que aún no se aplicaron.
+ */
+const renderPendingChanges = async () => {
+  const { data: changes, error } = await getPendingChanges();
+
+  if (error) {
+    console.error('Error al leer los cambios pendientes:', error);
+    pendingChangesContainer.innerHTML = '<p>❌ No se pudieron leer los cambios guardados en este equipo.</p>';
+    return;
+  }
+
+  if (changes.length === 0) {
+    pendingChangesContainer.innerHTML = '<p>✅ No hay cambios pendientes.</p>';
+    return;
+  }
+
+  const typeLabels = { insert: 'Agregar', delete: 'Enviar a la papelera' };
+
+  pendingChangesContainer.innerHTML = `
+    <ul class="pending-changes-list">
+      ${changes.map(change => `
+        <li class="pending-change ${change.status}">
+          <div>
+            <strong>${typeLabels[change.type]} "${escapeHtml(change.productName)}"</strong>
+            <small>${new Date(change.createdAt).toLocaleString('es-CO')}</small>
+          </div>
+          ${change.status === 'conflict' ? `
+            <p>⚠️ ${escapeHtml(change.conflictMessage)}</p>
+            <button type="button" class="apply-change-button" data-id="${change.id}">Aplicar igualmente</button>
+          ` : '<p>⏳ Pendiente de sincronizar</p>'}
+          <button type="button" class="discard-change-button" data-id="${change.id}">Descartar</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+};
+
+/**
+ * Aplica o descarta un cambio pendiente desde el detalle de sincronización.
+ * @param {number} changeId
+ * @param {'apply'|'discard'} resolution
+ */
+const resolvePendingChange = async (changeId, resolution) => {
+  const { data: changes } = await getPendingChanges();
+  const change = (changes || []).find(({ id }) => id === changeId);
+  if (!change) return;
+
+  if (resolution === 'discard' && !confirm(`¿Descartar el cambio sobre "${change.productName}"? No se aplicará.`)) {
+    return;
+  }
+
+  const { error } = await resolveConflict(change, resolution);
+  if (error) {
+    console.error('Error al resolver el cambio pendiente:', error);
+    syncMessage.textContent = isOfflineError(error)
+      ? '📴 Sin conexión: inténtalo cuando vuelva la conexión.'
+      : '❌ No se pudo aplicar el cambio.';
+    return;
+  }
+
+  syncMessage.textContent = resolution === 'apply' ? '✅ Cambio aplicado.' : '✅ Cambio descartado.';
+  await Promise.all([renderPendingChanges(), renderSyncStatus()]);
+  if (resolution === 'apply') {
+    await fetchAndDisplayProducts();
+  }
+};
+
+syncStatusButton.addEventListener('click', openSyncDialog);
+
+document.getElementById('close-sync-dialog').addEventListener('click', () => {
+  syncDialog.close();
+});
+
+document.getElementById('sync-now-button').addEventListener('click', syncPendingChanges);
+
+pendingChangesContainer.addEventListener('click', async (e) => {
+  const changeId = Number(e.target.dataset.id);
+  if (e.target.classList.contains('apply-change-button')) {
+    await resolvePendingChange(changeId, 'apply');
+  } else if (e.target.classList.contains('discard-change-button')) {
+    await resolvePendingChange(changeId, 'discard');
+  }
+});
+
+// Al recuperar la conexión enviamos lo pendiente y recargamos el inventario
+// (si la sincronización no lo recargó ya).
+window.addEventListener('online', async () => {
+  setOffline(false);
+  const reloaded = await syncPendingChanges();
+  if (!reloaded) {
+    await fetchAndDisplayProducts();
+  }
+});
+
+window.addEventListener('offline', () => {
+  setOffline(true);
+});
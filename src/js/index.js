@@ -5,11 +5,14 @@ import '../css/index.css';
 import { BannerRotator } from './modules/BannerRotator.js';
 import { MobileMenu } from './modules/MobileMenu.js';
 import { ContactForm } from './modules/ContactForm.js';
+import { PreOrderForm } from './modules/PreOrderForm.js';
+import { ProductCatalogue } from './modules/ProductCatalogue.js';
 import { ImageModal } from './modules/ImageModal.js';
 import { LazyLoading } from './modules/LazyLoading.js';
 import { WhatsAppButton } from './modules/WhatsAppButton.js';
 import { AnimationObserver } from './modules/AnimationObserver.js';
 import { signUp, signIn } from './modules/Auth.js';
+import { getAuthErrorMessage } from './modules/AuthErrors.js';
 
 /**
  * Clase principal de la aplicación Pan & Oro
@@ -36,7 +39,7 @@ class PanOroApp {
                             const email = document.getElementById('signup-email').value;
                             const password = document.getElementById('signup-password').value;
                             const error = await signUp(email, password);
-                            document.getElementById('signup-message').textContent = error ? error.message : '¡Registro exitoso! Revisa tu correo.';
+                            document.getElementById('signup-message').textContent = error ? getAuthErrorMessage(error) : '¡Registro exitoso! Revisa tu correo.';
                         });
                     }
                     const loginForm = document.getElementById('login-form');
@@ -46,7 +49,7 @@ class PanOroApp {
                             const email = document.getElementById('login-email').value;
                             const password = document.getElementById('login-password').value;
                             const error = await signIn(email, password);
-                            document.getElementById('login-message').textContent = error ? error.message : '¡Login exitoso!';
+                            document.getElementById('login-message').textContent = error ? getAuthErrorMessage(error) : '¡Login exitoso!';
                         });
                     }
                 });
@@ -120,6 +123,13 @@ class PanOroApp {
                 initPromises.push(this.components.contactForm.init());
             }
 
+            // Pre-order Form
+            const preOrderForm = document.querySelector('.preorder-form');
+            if (preOrderForm) {
+                this.components.preOrderForm = new PreOrderForm(preOrderForm);
+                initPromises.push(this.components.preOrderForm.init());
+            }
+
             // Image Modal
             const galleryImages = document.querySelectorAll('.gallery-item img');
             if (galleryImages.length > 0) {
@@ -154,6 +164,21 @@ class PanOroApp {
             });
             initPromises.push(this.components.animationObserver.init());
 
+            // Product Catalogue (después de LazyLoading y AnimationObserver, que reciben sus tarjetas)
+            const catalogueElement = document.getElementById('catalogo');
+            if (catalogueElement) {
+                this.components.productCatalogue = new ProductCatalogue(catalogueElement, {
+                    lazyLoading: this.components.lazyLoading,
+                    animationObserver: this.components.animationObserver
+                });
+                initPromises.push(this.components.productCatalogue.init());
+
+                // Tras un pedido el stock cambió; el formulario ya renovó el catálogo compartido
+                preOrderForm?.addEventListener('formSubmitSuccess', () => {
+                    this.components.productCatalogue.refresh();
+                });
+            }
+
             // Esperar a que todos los componentes se inicialicen
             await Promise.all(initPromises);
             
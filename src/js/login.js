@@ -1,22 +1,213 @@
-import { signIn } from './modules/Auth.js';
+import { signIn, requestPasswordReset, sendSignInEmail, verifySignInCode } from './modules/Auth.js';
+import { redirectIfAuthenticated, redirectAfterSignIn, withReturnTo } from './modules/Session.js';
+import { getAuthErrorMessage, isRateLimitError, isValidEmail } from './modules/AuthErrors.js';
+import {
+  getLockoutRemaining,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  formatWait
+} from './modules/LoginAttempts.js';
+
+// Segundos de espera entre reenvíos del código (Supabase limita los correos seguidos).
+const RESEND_COOLDOWN = 60;
+
+// Si ya hay una sesión abierta, no tiene sentido mostrar el login.
+redirectIfAuthenticated();
 
 document.addEventListener('DOMContentLoaded', () => {
+  // El enlace al registro conserva la página a la que volver tras entrar.
+  const registerLink = document.querySelector('a[href="register.html"]');
+  if (registerLink) {
+    registerLink.href = withReturnTo('register.html');
+  }
+
   const loginForm = document.getElementById('login-form');
   if (loginForm) {
+    const loginMessage = document.getElementById('login-message');
+    const submitButton = loginForm.querySelector('button[type="submit"]');
+
     loginForm.addEventListener('submit', async (e) => {
       e.preventDefault();
-      const email = document.getElementById('login-email').value;
+      const email = document.getElementById('login-email').value.trim();
       const password = document.getElementById('login-password').value;
+
+      if (!isValidEmail(email)) {
+        loginMessage.textContent = 'Escribe un correo válido.';
+        return;
+      }
+
+      if (!password) {
+        loginMessage.textContent = 'Escribe tu contraseña.';
+        return;
+      }
+
+      const lockoutRemaining = getLockoutRemaining(email);
+      if (lockoutRemaining > 0) {
+        loginMessage.textContent = `Demasiados intentos fallidos. Espera ${formatWait(lockoutRemaining)} o entra sin contraseña.`;
+        return;
+      }
+
+      submitButton.disabled = true;
+      loginMessage.textContent = 'Entrando...';
       const error = await signIn(email, password);
+
       if (!error) {
-        document.getElementById('login-message').textContent = '¡Login exitoso!';
-        setTimeout(() => {
-          // Ruta corregida para la redirección
-          window.location.href = 'dashboard.html';
-        }, 1000);
+        clearFailedAttempts(email);
+        loginMessage.textContent = '¡Login exitoso!';
+        // Volvemos a la página protegida que se intentó abrir, o al dashboard.
+        redirectAfterSignIn();
+        return;
+      }
+
+      submitButton.disabled = false;
+
+      // Solo cuentan como fallo las credenciales incorrectas, no los cortes de red.
+      if (error.code !== 'invalid_credentials' && !/invalid login credentials/i.test(error.message || '')) {
+        loginMessage.textContent = getAuthErrorMessage(error);
+        return;
+      }
+
+      const { attemptsLeft, lockedForMs } = recordFailedAttempt(email);
+      if (lockedForMs > 0) {
+        loginMessage.textContent = `Demasiados intentos fallidos. Espera ${formatWait(lockedForMs)} o entra sin contraseña.`;
+      } else if (attemptsLeft <= 2) {
+        loginMessage.textContent = `${getAuthErrorMessage(error)} Te quedan ${attemptsLeft} ${attemptsLeft === 1 ? 'intento' : 'intentos'}.`;
       } else {
-        document.getElementById('login-message').textContent = error.message;
+        loginMessage.textContent = getAuthErrorMessage(error);
       }
     });
   }
+
+  // Entrar sin contraseña: el correo trae un enlace mágico y un código de 6 dígitos.
+  const passwordlessForm = document.getElementById('passwordless-form');
+  const otpForm = document.getElementById('otp-form');
+  const resendOtpButton = document.getElementById('resend-otp-button');
+  let passwordlessEmail = '';
+
+  document.getElementById('passwordless-button')?.addEventListener('click', () => {
+    passwordlessForm.hidden = false;
+    document.getElementById('passwordless-email').value = document.getElementById('login-email').value;
+    document.getElementById('passwordless-email').focus();
+  });
+
+  // Bloquea el reenvío durante RESEND_COOLDOWN segundos, mostrando la cuenta atrás.
+  const startResendCooldown = () => {
+    let remaining = RESEND_COOLDOWN;
+    resendOtpButton.disabled = true;
+    resendOtpButton.textContent = `Reenviar código (${remaining} s)`;
+
+    const timer = setInterval(() => {
+      remaining -= 1;
+      if (remaining > 0) {
+        resendOtpButton.textContent = `Reenviar código (${remaining} s)`;
+        return;
+      }
+      clearInterval(timer);
+      resendOtpButton.disabled = false;
+      resendOtpButton.textContent = 'Reenviar código';
+    }, 1000);
+  };
+
+  const sendPasswordlessEmail = async () => {
+    const error = await sendSignInEmail(passwordlessEmail);
+    if (error) {
+      console.error('Error al enviar el acceso sin contraseña:', error);
+    }
+    // Como en el restablecimiento, no se revela si el correo tiene cuenta.
+    return isRateLimitError(error) ? getAuthErrorMessage(error) : null;
+  };
+
+  passwordlessForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    passwordlessEmail = document.getElementById('passwordless-email').value.trim();
+    const passwordlessMessage = document.getElementById('passwordless-message');
+
+    if (!isValidEmail(passwordlessEmail)) {
+      passwordlessMessage.textContent = 'Escribe un correo válido.';
+      return;
+    }
+    const submitButton = passwordlessForm.querySelector('button[type="submit"]');
+
+    submitButton.disabled = true;
+    passwordlessMessage.textContent = 'Enviando...';
+    const rateLimitMessage = await sendPasswordlessEmail();
+    submitButton.disabled = false;
+
+    if (rateLimitMessage) {
+      passwordlessMessage.textContent = rateLimitMessage;
+      return;
+    }
+
+    passwordlessMessage.textContent = 'Si el correo está registrado, recibirás un enlace y un código.';
+    document.getElementById('otp-email').textContent = passwordlessEmail;
+    otpForm.hidden = false;
+    document.getElementById('otp-code').focus();
+    startResendCooldown();
+  });
+
+  otpForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = document.getElementById('otp-code').value.replace(/\s/g, '');
+    const otpMessage = document.getElementById('otp-message');
+
+    if (!/^\d{6}$/.test(code)) {
+      otpMessage.textContent = 'El código tiene 6 dígitos.';
+      return;
+    }
+
+    const submitButton = otpForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    const error = await verifySignInCode(passwordlessEmail, code);
+
+    if (!error) {
+      otpMessage.textContent = '¡Login exitoso!';
+      // El mismo camino que el login con contraseña.
+      redirectAfterSignIn();
+      return;
+    }
+
+    submitButton.disabled = false;
+    otpMessage.textContent = isRateLimitError(error)
+      ? getAuthErrorMessage(error)
+      : 'El código no es válido o ya expiró.';
+  });
+
+  resendOtpButton?.addEventListener('click', async () => {
+    const otpMessage = document.getElementById('otp-message');
+    startResendCooldown();
+    const rateLimitMessage = await sendPasswordlessEmail();
+    otpMessage.textContent = rateLimitMessage || 'Te enviamos un código nuevo.';
+  });
+
+  // "¿Olvidaste tu contraseña?" muestra el formulario para pedir el enlace.
+  const forgotPasswordForm = document.getElementById('forgot-password-form');
+  document.getElementById('forgot-password-button')?.addEventListener('click', () => {
+    forgotPasswordForm.hidden = false;
+    document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+    document.getElementById('forgot-email').focus();
+  });
+
+  forgotPasswordForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = document.getElementById('forgot-email').value.trim();
+    const forgotMessage = document.getElementById('forgot-message');
+    const submitButton = forgotPasswordForm.querySelector('button[type="submit"]');
+
+    if (!isValidEmail(email)) {
+      forgotMessage.textContent = 'Escribe un correo válido.';
+      return;
+    }
+
+    submitButton.disabled = true;
+    const error = await requestPasswordReset(email);
+    submitButton.disabled = false;
+
+    if (error) {
+      console.error('Error al pedir el restablecimiento:', error);
+    }
+    // El mensaje es el mismo exista o no la cuenta, para no revelar qué correos están registrados.
+    forgotMessage.textContent = isRateLimitError(error)
+      ? getAuthErrorMessage(error)
+      : 'Si el correo está registrado, recibirás un enlace para restablecer la contraseña.';
+  });
 });
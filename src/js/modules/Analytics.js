@@ -0,0 +1,92 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Obtiene el stock total, el número de productos y los productos con stock
+ * bajo de cada categoría, de la categoría con más stock a la de menos.
+ * @returns {Promise<{data: Array<{category: string, product_count: number, total_stock: number,
+ *   low_stock_count: number}>|null, error: Object|null}>}
+ */
+export async function fetchStockByCategory() {
+  const { data, error } = await supabase
+    .from('inventory_stock_by_category')
+    .select('*')
+    .order('total_stock', { ascending: false });
+
+  return { data, error };
+}
+
+/**
+ * Obtiene cuántos productos se agregaron cada mes, incluidos los meses sin altas.
+ * @param {number} [months=12] - Meses hacia atrás, contando el actual.
+ * @returns {Promise<{data: Array<{month: string, count: number}>|null, error: Object|null}>}
+ *   `month` es la fecha `AAAA-MM-01` del mes.
+ */
+export async function fetchProductsAddedByMonth(months = 12) {
+  const firstMonth = new Date();
+  firstMonth.setDate(1);
+  firstMonth.setMonth(firstMonth.getMonth() - (months - 1));
+
+  const { data, error } = await supabase
+    .from('inventory_products_by_month')
+    .select('*')
+    .gte('month', toIsoDate(firstMonth));
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const countsByMonth = new Map(data.map(row => [row.month, row.product_count]));
+  const series = [];
+  for (let i = 0; i < months; i++) {
+    const month = new Date(firstMonth.getFullYear(), firstMonth.getMonth() + i, 1);
+    const key = toIsoDate(month);
+    series.push({ month: key, count: countsByMonth.get(key) ?? 0 });
+  }
+
+  return { data: series, error: null };
+}
+
+/**
+ * Obtiene las unidades que entraron y salieron del inventario cada día,
+ * incluidos los días sin movimientos.
+ * @param {number} [days=30] - Días hacia atrás, contando hoy.
+ * @returns {Promise<{data: Array<{day: string, unitsIn: number, unitsOut: number}>|null, error: Object|null}>}
+ */
+export async function fetchStockMovementTrend(days = 30) {
+  const firstDay = new Date();
+  firstDay.setDate(firstDay.getDate() - (days - 1));
+
+  const { data, error } = await supabase
+    .from('stock_movements_by_day')
+    .select('*')
+    .gte('day', toIsoDate(firstDay));
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  // La vista separa por motivo; aquí se suman todos los motivos de cada día.
+  const totalsByDay = new Map();
+  data.forEach(({ day, units_in: unitsIn, units_out: unitsOut }) => {
+    const totals = totalsByDay.get(day) || { unitsIn: 0, unitsOut: 0 };
+    totalsByDay.set(day, { unitsIn: totals.unitsIn + unitsIn, unitsOut: totals.unitsOut + unitsOut });
+  });
+
+  const series = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+    const key = toIsoDate(day);
+    series.push({ day: key, ...(totalsByDay.get(key) || { unitsIn: 0, unitsOut: 0 }) });
+  }
+
+  return { data: series, error: null };
+}
+
+/**
+ * Convierte una fecha local en texto `AAAA-MM-DD`.
+ */
+function toIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
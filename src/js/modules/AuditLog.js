@@ -0,0 +1,83 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Acciones que registra la auditoría del inventario.
+ */
+export const AUDIT_ACTIONS = {
+  create: 'Creó',
+  update: 'Modificó',
+  delete: 'Envió a la papelera',
+  restore: 'Restauró',
+  purge: 'Eliminó definitivamente'
+};
+
+/**
+ * Nombres legibles de los campos de un producto.
+ */
+export const AUDIT_FIELD_LABELS = {
+  name: 'Nombre',
+  category: 'Categoría',
+  stock: 'Stock',
+  min_stock: 'Stock mínimo',
+  price: 'Precio',
+  unit_cost: 'Costo',
+  tax_rate: 'Impuesto (%)',
+  image_path: 'Imagen',
+  archived_at: 'Archivado',
+  deleted_at: 'En papelera'
+};
+
+/**
+ * Consulta una página de la auditoría, de lo más reciente a lo más antiguo.
+ * @param {{userEmail?: string, productSearch?: string, from?: string, to?: string}} filters
+ *   `from` y `to` son fechas `AAAA-MM-DD` (ambas incluidas).
+ * @param {number} page - Página a consultar (empieza en 1).
+ * @param {number} pageSize
+ * @returns {Promise<{data: Array|null, count: number|null, error: Object|null}>}
+ */
+export async function fetchAuditLog(filters, page, pageSize) {
+  const from = (page - 1) * pageSize;
+
+  let query = supabase
+    .from('product_audit_log')
+    .select('*', { count: 'exact' });
+
+  if (filters.userEmail) {
+    query = query.eq('user_email', filters.userEmail);
+  }
+
+  if (filters.productSearch) {
+    query = query.ilike('product_name', `%${filters.productSearch.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+  }
+
+  if (filters.from) {
+    query = query.gte('created_at', new Date(`${filters.from}T00:00:00`).toISOString());
+  }
+
+  if (filters.to) {
+    // Hasta el final del día indicado.
+    const end = new Date(`${filters.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    query = query.lt('created_at', end.toISOString());
+  }
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(from, from + pageSize - 1);
+
+  return { data, count, error };
+}
+
+/**
+ * Obtiene los correos de los usuarios que aparecen en la auditoría.
+ * @returns {Promise<{data: Array<string>|null, error: Object|null}>}
+ */
+export async function fetchAuditUsers() {
+  const { data, error } = await supabase
+    .from('product_audit_users')
+    .select('user_email')
+    .order('user_email', { ascending: true });
+
+  return { data: data ? data.map(row => row.user_email) : null, error };
+}
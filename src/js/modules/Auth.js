@@ -1,4 +1,5 @@
 import { supabase } from './supabaseClient.js';
+import { withReturnTo } from './Session.js';
 
 export async function signUp(email, password) {
   const { error } = await supabase.auth.signUp({ email, password });
@@ -9,3 +10,83 @@ export async function signIn(email, password) {
   const { error } = await supabase.auth.signInWithPassword({ email, password });
   return error;
 }
+
+// Página que completa el inicio de sesión con enlace mágico.
+const AUTH_CALLBACK_PAGE = 'auth-callback.html';
+
+/**
+ * Envía el correo para entrar sin contraseña. El mismo correo trae el enlace
+ * mágico y el código de 6 dígitos (la plantilla "Magic Link" de Supabase debe
+ * incluir `{{ .Token }}`). Solo sirve para cuentas que ya existen.
+ * @param {string} email
+ * @returns {Promise<Object|null>} El error, o `null` si se envió.
+ */
+export async function sendSignInEmail(email) {
+  // El enlace conserva `returnTo` para volver a la página que se intentó abrir.
+  const emailRedirectTo = new URL(withReturnTo(AUTH_CALLBACK_PAGE), window.location.href).href;
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { shouldCreateUser: false, emailRedirectTo }
+  });
+  return error;
+}
+
+/**
+ * Inicia sesión con el código de 6 dígitos recibido por correo.
+ * @param {string} email
+ * @param {string} code
+ * @returns {Promise<Object|null>} El error, o `null` si el código es válido.
+ */
+export async function verifySignInCode(email, code) {
+  const { error } = await supabase.auth.verifyOtp({ email, token: code, type: 'email' });
+  return error;
+}
+
+// Página a la que lleva el enlace del correo de recuperación.
+const RESET_PASSWORD_PAGE = 'reset-password.html';
+
+/**
+ * Envía el correo para restablecer la contraseña.
+ * @param {string} email
+ * @returns {Promise<Object|null>} El error, o `null` si se envió.
+ */
+export async function requestPasswordReset(email) {
+  const redirectTo = new URL(RESET_PASSWORD_PAGE, window.location.href).href;
+  const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo });
+  return error;
+}
+
+/**
+ * Cambia la contraseña del usuario de la sesión (incluida la sesión temporal
+ * que abre el enlace de recuperación).
+ * @param {string} newPassword
+ * @returns {Promise<Object|null>} El error, o `null` si se cambió.
+ */
+export async function updatePassword(newPassword) {
+  const { error } = await supabase.auth.updateUser({ password: newPassword });
+  return error;
+}
+
+/**
+ * Cambia la contraseña de un usuario con sesión, comprobando antes la actual.
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<Object|null>} El error, o `null` si se cambió.
+ */
+export async function changePassword(currentPassword, newPassword) {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    return new Error('No hay una sesión activa.');
+  }
+
+  // Volver a entrar con la contraseña actual confirma que es el propio usuario.
+  const { error: signInError } = await supabase.auth.signInWithPassword({
+    email: user.email,
+    password: currentPassword
+  });
+  if (signInError) {
+    return new Error('La contraseña actual no es correcta.');
+  }
+
+  return updatePassword(newPassword);
+}
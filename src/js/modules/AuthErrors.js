@@ -0,0 +1,82 @@
+/**
+ * Mensajes en español para los códigos de error de Supabase Auth.
+ */
+const AUTH_ERROR_MESSAGES = {
+  invalid_credentials: 'El correo o la contraseña no son correctos.',
+  email_not_confirmed: 'Aún no confirmas tu correo. Revisa tu bandeja de entrada.',
+  user_already_exists: 'Ya existe una cuenta con este correo.',
+  email_exists: 'Ya existe una cuenta con este correo.',
+  email_address_invalid: 'El correo no es válido.',
+  weak_password: 'La contraseña es demasiado débil.',
+  same_password: 'La nueva contraseña debe ser distinta de la actual.',
+  signup_disabled: 'El registro de cuentas nuevas está desactivado.',
+  otp_expired: 'El código no es válido o ya expiró.',
+  otp_disabled: 'El acceso sin contraseña no está disponible para este correo.',
+  user_banned: 'Esta cuenta está bloqueada. Contacta a un administrador.',
+  over_request_rate_limit: 'Demasiados intentos. Espera unos minutos e inténtalo de nuevo.',
+  over_email_send_rate_limit: 'Has pedido demasiados correos. Espera unos minutos e inténtalo de nuevo.'
+};
+
+// Mensajes de versiones de la API que aún no devuelven `code`.
+const LEGACY_MESSAGES = [
+  { pattern: /invalid login credentials/i, code: 'invalid_credentials' },
+  { pattern: /email not confirmed/i, code: 'email_not_confirmed' },
+  { pattern: /user already registered/i, code: 'user_already_exists' },
+  { pattern: /password should be/i, code: 'weak_password' },
+  { pattern: /rate limit/i, code: 'over_request_rate_limit' }
+];
+
+const GENERIC_MESSAGE = 'No se pudo completar la operación. Inténtalo de nuevo.';
+const NETWORK_MESSAGE = 'No hay conexión con el servidor. Revisa tu internet e inténtalo de nuevo.';
+
+/**
+ * Formato básico de correo: algo@dominio.tld, sin espacios.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Traduce un error de Supabase Auth a un mensaje para el usuario.
+ * @param {Object} error
+ * @returns {string}
+ */
+export function getAuthErrorMessage(error) {
+  if (!error) return '';
+
+  if (AUTH_ERROR_MESSAGES[error.code]) {
+    return AUTH_ERROR_MESSAGES[error.code];
+  }
+
+  const legacy = LEGACY_MESSAGES.find(({ pattern }) => pattern.test(error.message || ''));
+  if (legacy) {
+    return AUTH_ERROR_MESSAGES[legacy.code];
+  }
+
+  if (isRateLimitError(error)) {
+    return AUTH_ERROR_MESSAGES.over_request_rate_limit;
+  }
+
+  // supabase-js usa el estado 0 cuando la petición ni siquiera llegó.
+  if (error.status === 0 || error.name === 'AuthRetryableFetchError' || !navigator.onLine) {
+    return NETWORK_MESSAGE;
+  }
+
+  return GENERIC_MESSAGE;
+}
+
+/**
+ * Indica si el servidor rechazó la petición por exceso de intentos.
+ * @param {Object} error
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  return Boolean(error) && (error.status === 429 || /rate_limit$/.test(error.code || ''));
+}
+
+/**
+ * Valida el formato de un correo.
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(String(email ?? '').trim());
+}
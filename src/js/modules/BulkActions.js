@@ -0,0 +1,126 @@
+import { supabase } from './supabaseClient.js';
+import { softDeleteProducts } from './ProductTrash.js';
+
+// Máximo de IDs por petición, para no superar el largo de URL de PostgREST.
+const CHUNK_SIZE = 200;
+
+/**
+ * Acciones en lote disponibles sobre los productos seleccionados.
+ */
+export const BULK_ACTIONS = {
+  delete: { label: 'Enviar a la papelera', needsValue: false },
+  category: { label: 'Cambiar categoría', needsValue: true },
+  stock: { label: 'Fijar stock', needsValue: true },
+  archive: { label: 'Archivar', needsValue: false },
+  unarchive: { label: 'Desarchivar', needsValue: false }
+};
+
+/**
+ * Ejecuta una acción sobre un conjunto de productos. Cada bloque de IDs se
+ * resuelve con una sola operación de Supabase.
+ * @param {'delete'|'category'|'stock'|'archive'|'unarchive'} action
+ * @param {Array<string|number>} productIds
+ * @param {string|number|null} value - Categoría o stock, según la acción.
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{succeeded: number, failed: number, errors: Array<Object>}>}
+ */
+export async function runBulkAction(action, productIds, value, onProgress = () => {}) {
+  const result = { succeeded: 0, failed: 0, errors: [] };
+
+  for (let i = 0; i < productIds.length; i += CHUNK_SIZE) {
+    const chunk = productIds.slice(i, i + CHUNK_SIZE);
+    const { count, error } = await runChunk(action, chunk, value);
+
+    if (error) {
+      result.failed += chunk.length;
+      result.errors.push(error);
+    } else {
+      result.succeeded += count;
+      // Los que no se tocaron ya no existían (por ejemplo, otro usuario los eliminó).
+      result.failed += chunk.length - count;
+    }
+
+    onProgress(Math.min(i + CHUNK_SIZE, productIds.length), productIds.length);
+  }
+
+  return result;
+}
+
+/**
+ * Aplica la acción a un bloque de IDs.
+ * @returns {Promise<{count: number, error: Object|null}>}
+ */
+async function runChunk(action, ids, value) {
+  if (action === 'delete') {
+    // Se envían a la papelera; el borrado definitivo se hace desde allí.
+    return softDeleteProducts(ids);
+  }
+
+  if (action === 'category') {
+    const { count, error } = await supabase
+      .from('products')
+      .update({ category: value }, { count: 'exact' })
+      .in('id', ids);
+    return { count: count ?? 0, error };
+  }
+
+  if (action === 'archive') {
+    const { count, error } = await supabase
+      .from('products')
+      .update({ archived_at: new Date().toISOString() }, { count: 'exact' })
+      .in('id', ids);
+    return { count: count ?? 0, error };
+  }
+
+  if (action === 'unarchive') {
+    // Vuelven al inventario activo; los que no estaban archivados no cambian.
+    const { count, error } = await supabase
+      .from('products')
+      .update({ archived_at: null }, { count: 'exact' })
+      .in('id', ids);
+    return { count: count ?? 0, error };
+  }
+
+  if (action === 'stock') {
+    return setStockChunk(ids, value);
+  }
+
+  return { count: 0, error: new Error(`Acción desconocida: ${action}`) };
+}
+
+/**
+ * Fija el stock de un bloque de productos registrando una corrección en el
+ * libro por cada uno (en un solo insert), para que el cambio quede trazado.
+ */
+async function setStockChunk(ids, targetStock) {
+  const { data: products, error: fetchError } = await supabase
+    .from('products')
+    .select('id, stock')
+    .in('id', ids);
+
+  if (fetchError) {
+    return { count: 0, error: fetchError };
+  }
+
+  const { data: { user } } = await supabase.auth.getUser();
+  const movements = products
+    .filter(product => product.stock !== targetStock)
+    .map(product => ({
+      product_id: product.id,
+      reason: 'correction',
+      quantity: targetStock - product.stock,
+      note: 'Stock fijado en lote',
+      user_id: user?.id,
+      user_email: user?.email
+    }));
+
+  if (movements.length > 0) {
+    const { error } = await supabase.from('stock_movements').insert(movements);
+    if (error) {
+      return { count: 0, error };
+    }
+  }
+
+  // Los que ya tenían ese stock cuentan como correctos.
+  return { count: products.length, error: null };
+}
@@ -0,0 +1,183 @@
+import { supabase } from './supabaseClient.js';
+import { normalizeText } from './InventoryFilters.js';
+
+/**
+ * Obtiene las categorías administradas, ordenadas por nombre.
+ * @returns {Promise<{data: Array<{id: number, name: string}>|null, error: Object|null}>}
+ */
+export async function fetchCategories() {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, name')
+    .order('name');
+
+  return { data, error };
+}
+
+/**
+ * Crea una categoría.
+ * @param {string} name
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function createCategory(name) {
+  const { data, error } = await supabase
+    .from('categories')
+    .insert([{ name }])
+    .select('id, name')
+    .single();
+
+  return { data, error };
+}
+
+/**
+ * Renombra una categoría. La base de datos actualiza sus productos y su mínimo en cascada.
+ * @param {number} categoryId
+ * @param {string} name
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function renameCategory(categoryId, name) {
+  const { data, error } = await supabase
+    .from('categories')
+    .update({ name })
+    .eq('id', categoryId)
+    .select('id, name')
+    .single();
+
+  return { data, error };
+}
+
+/**
+ * Elimina una categoría. Sus productos quedan sin categoría.
+ * @param {number} categoryId
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function deleteCategory(categoryId) {
+  const { error } = await supabase
+    .from('categories')
+    .delete()
+    .eq('id', categoryId);
+
+  return { error };
+}
+
+/**
+ * Fusiona una categoría en otra: sus productos pasan a la de destino y la de
+ * origen se elimina.
+ * @param {string} sourceName
+ * @param {string} targetName
+ * @returns {Promise<{data: number|null, error: Object|null}>} Productos movidos.
+ */
+export async function mergeCategories(sourceName, targetName) {
+  const { data, error } = await supabase.rpc('merge_categories', {
+    p_source: sourceName,
+    p_target: targetName
+  });
+
+  return { data, error };
+}
+
+/**
+ * Valida el nombre de una categoría nueva o renombrada.
+ * @param {string} name
+ * @param {Array<{id: number, name: string}>} categories - Categorías existentes.
+ * @param {number|null} [currentId] - La categoría que se renombra, si aplica.
+ * @returns {string|null} El mensaje de error, o `null` si el nombre es válido.
+ */
+export function validateCategoryName(name, categories, currentId = null) {
+  if (!name) {
+    return 'El nombre de la categoría es obligatorio.';
+  }
+
+  if (name.length > 50) {
+    return 'La categoría no puede tener más de 50 caracteres.';
+  }
+
+  const existing = findCategory(name, categories);
+  if (existing && existing.id !== currentId) {
+    return `Ya existe la categoría "${existing.name}".`;
+  }
+
+  return null;
+}
+
+/**
+ * Busca una categoría sin distinguir mayúsculas ni tildes ("pán" encuentra "Pan").
+ * @param {string} name
+ * @param {Array<{id: number, name: string}>} categories
+ * @returns {{id: number, name: string}|undefined}
+ */
+export function findCategory(name, categories) {
+  const normalizedName = normalizeText(name);
+  return categories.find(category => normalizeText(category.name) === normalizedName);
+}
+
+/**
+ * Busca categorías parecidas a un nombre (sin mayúsculas, tildes ni plural),
+ * para sugerirlas antes de crear una nueva.
+ * @param {string} name
+ * @param {Array<{id: number, name: string}>} categories
+ * @returns {Array<{id: number, name: string}>}
+ */
+export function findSimilarCategories(name, categories) {
+  const key = getSimilarityKey(name);
+  return categories.filter(category => getSimilarityKey(category.name) === key);
+}
+
+/**
+ * Agrupa las categorías que probablemente son la misma: iguales sin mayúsculas,
+ * tildes ni plural ("Pan", "pan" y "Panes").
+ * @param {Array<{id: number, name: string}>} categories
+ * @returns {Array<Array<{id: number, name: string}>>} Solo los grupos de dos o más.
+ */
+export function findDuplicateCategories(categories) {
+  const groups = new Map();
+
+  categories.forEach(category => {
+    const key = getSimilarityKey(category.name);
+    groups.set(key, [...(groups.get(key) || []), category]);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Traduce nombres de categoría escritos a mano (por ejemplo, en un CSV) a las
+ * categorías administradas, creando las que no existan.
+ * @param {Array<string>} names
+ * @returns {Promise<{data: Map<string, string>|null, error: Object|null}>}
+ *   Mapa `nombre escrito -> nombre de la categoría`.
+ */
+export async function resolveCategoryNames(names) {
+  const { data: categories, error } = await fetchCategories();
+  if (error) {
+    return { data: null, error };
+  }
+
+  const resolved = new Map();
+  for (const name of new Set(names.filter(Boolean))) {
+    let category = findCategory(name, categories);
+
+    if (!category) {
+      const { data: created, error: createError } = await createCategory(name);
+      if (createError) {
+        return { data: null, error: createError };
+      }
+      category = created;
+      categories.push(created);
+    }
+
+    resolved.set(name, category.name);
+  }
+
+  return { data: resolved, error: null };
+}
+
+/**
+ * Clave para comparar categorías parecidas: sin tildes, en minúsculas y sin
+ * la terminación del plural ("Postres" -> "postr", "Postre" -> "postr").
+ */
+function getSimilarityKey(name) {
+  return normalizeText(name)
+    .replace(/(es|s)$/, '')
+    .replace(/e$/, '');
+}
@@ -1,3 +1,71 @@
+import { submitContactMessage } from './ContactMessages.js';
+
+/**
+ * Campos del formulario de contacto de la página principal.
+ *
+ * Cada campo del esquema admite:
+ * - `name`: atributo `name` del control (y clave en `getFormData`).
+ * - `type`: `text`, `email`, `tel`, `date`, `number`, `select` o `textarea`.
+ * - `label`, `placeholder`, `options` (para `select`: `[{ value, label }]`).
+ * - `required`, `minLength`, `maxLength`, `min`, `max` (número o fecha
+ *   `AAAA-MM-DD`; también una función que la devuelva), `pattern` (RegExp).
+ * - `messages`: textos propios para `required`, `minLength`, `maxLength`,
+ *   `min`, `max`, `pattern` o `type`.
+ * - `validate(value, data, form)`: validación extra; devuelve el mensaje de
+ *   error o `null`.
+ * - `visibleWhen(data)`: si devuelve `false`, el campo se oculta y no se
+ *   valida ni se envía.
+ *
+ * Si el formulario no trae el control en el HTML, se crea a partir del esquema.
+ */
+export const CONTACT_FIELDS = [
+    {
+        name: 'name',
+        type: 'text',
+        label: 'Nombre completo',
+        required: true,
+        minLength: 2,
+        maxLength: 50,
+        messages: {
+            required: 'El nombre es requerido',
+            minLength: 'El nombre debe tener al menos 2 caracteres',
+            maxLength: 'El nombre no puede tener más de 50 caracteres'
+        },
+        validate: (value, data, form) => form.countLinks(value) > 0 ? 'El nombre no puede contener enlaces' : null
+    },
+    {
+        name: 'email',
+        type: 'email',
+        label: 'Correo electrónico',
+        required: true,
+        messages: {
+            required: 'El correo electrónico es requerido'
+        }
+    },
+    {
+        name: 'message',
+        type: 'textarea',
+        label: 'Mensaje',
+        required: true,
+        minLength: 10,
+        maxLength: 1000,
+        messages: {
+            required: 'El mensaje es requerido',
+            minLength: 'El mensaje debe tener al menos 10 caracteres',
+            maxLength: 'El mensaje no puede tener más de 1000 caracteres'
+        },
+        validate: (value, data, form) => form.checkMessageContent(value)
+    }
+];
+
+// Formatos por defecto según el tipo de campo.
+const TYPE_PATTERNS = {
+    email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Por favor, ingresa un correo electrónico válido' },
+    tel: { pattern: /^\+?[\d\s()-]{7,20}$/, message: 'Por favor, ingresa un teléfono válido' }
+};
+
+// Clases de Tailwind de los controles que se crean desde el esquema.
+const FIELD_CLASSES = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200';
 
 export class ContactForm {
     constructor(formElement, options = {}) {
@@ -7,21 +75,30 @@ export class ContactForm {
             showSuccessMessage: true,
             resetOnSuccess: true,
             submitEndpoint: null,
-            requiredFields: ['name', 'email', 'message'],
+            // Recibe los datos y devuelve `true` si se guardaron (o lanza un error)
+            submitHandler: null,
+            fields: CONTACT_FIELDS,
+            // Texto, o función que lo devuelve (por ejemplo, con el número de pedido)
+            successMessage: '¡Gracias por contactarnos! Te responderemos pronto.',
+            // Protección contra spam
+            honeypotField: 'website',
+            minSubmitTime: 3000,
+            maxSubmissions: 3,
+            submissionWindow: 10 * 60 * 1000,
+            throttleKey: 'panoro-contact-submissions',
+            maxLinks: 2,
             ...options
         };
         
         this.isSubmitting = false;
-        this.validators = {
-            name: this.validateName.bind(this),
-            email: this.validateEmail.bind(this),
-            message: this.validateMessage.bind(this)
-        };
+        this.startedAt = Date.now();
+        this.schema = this.options.fields;
         
         // Bind methods
         this.handleSubmit = this.handleSubmit.bind(this);
         this.handleFieldBlur = this.handleFieldBlur.bind(this);
         this.handleFieldInput = this.handleFieldInput.bind(this);
+        this.updateVisibility = this.updateVisibility.bind(this);
     }
 
     /**
@@ -30,9 +107,11 @@ export class ContactForm {
     async init() {
         try {
             this.setupFormElements();
+            this.setupHoneypot();
             this.setupValidation();
             this.setupEventListeners();
             this.setupAccessibility();
+            this.updateVisibility();
             
             console.log('✅ ContactForm inicializado correctamente');
             
@@ -46,14 +125,17 @@ export class ContactForm {
      * Configura los elementos del formulario
      */
     setupFormElements() {
-        this.fields = {
-            name: this.form.querySelector('input[name="name"], input[type="text"]'),
-            email: this.form.querySelector('input[name="email"], input[type="email"]'),
-            message: this.form.querySelector('textarea[name="message"], textarea')
-        };
-        
         this.submitButton = this.form.querySelector('button[type="submit"], input[type="submit"]');
         
+        // La validación la hace el esquema, con mensajes en español
+        this.form.noValidate = true;
+        
+        this.fields = {};
+        this.schema.forEach(definition => {
+            this.fields[definition.name] = this.form.querySelector(`[name="${definition.name}"]`)
+                || this.renderField(definition);
+        });
+        
         // Crear elementos para mensajes de error si no existen
         Object.entries(this.fields).forEach(([fieldName, field]) => {
             if (field && !field.nextElementSibling?.classList.contains('error-message')) {
@@ -65,6 +147,78 @@ export class ContactForm {
         });
     }
 
+    /**
+     * Crea el control de un campo del esquema y lo inserta antes del botón de envío
+     */
+    renderField(definition) {
+        const wrapper = document.createElement('div');
+        const id = `${this.form.id || 'form'}-${definition.name}`;
+        
+        if (definition.label) {
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.className = 'block text-sm font-medium text-gray-700 mb-1';
+            label.textContent = definition.label;
+            wrapper.appendChild(label);
+        }
+        
+        let field;
+        if (definition.type === 'select') {
+            field = document.createElement('select');
+            const options = [{ value: '', label: definition.placeholder || 'Selecciona una opción' }, ...(definition.options || [])];
+            options.forEach(({ value, label }) => field.add(new Option(label, value)));
+        } else if (definition.type === 'textarea') {
+            field = document.createElement('textarea');
+            field.rows = 4;
+            field.classList.add('resize-none');
+        } else {
+            field = document.createElement('input');
+            field.type = definition.type || 'text';
+        }
+        
+        field.id = id;
+        field.name = definition.name;
+        if (definition.placeholder && definition.type !== 'select') {
+            field.placeholder = definition.placeholder;
+        }
+        if (definition.type === 'number') {
+            field.inputMode = 'numeric';
+        }
+        field.classList.add(...FIELD_CLASSES.split(' '));
+        
+        wrapper.appendChild(field);
+        
+        const submitContainer = this.submitButton?.parentNode === this.form ? this.submitButton : null;
+        this.form.insertBefore(wrapper, submitContainer);
+        
+        return field;
+    }
+
+    /**
+     * Agrega un campo trampa invisible. Las personas no lo ven ni llegan a él
+     * con el teclado, pero los bots suelen llenar todos los campos.
+     */
+    setupHoneypot() {
+        this.honeypot = this.form.querySelector(`input[name="${this.options.honeypotField}"]`);
+        if (this.honeypot) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.style.cssText = 'position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden;';
+
+        this.honeypot = document.createElement('input');
+        this.honeypot.type = 'text';
+        this.honeypot.name = this.options.honeypotField;
+        this.honeypot.tabIndex = -1;
+        this.honeypot.autocomplete = 'off';
+
+        const label = document.createElement('label');
+        label.textContent = 'Deja este campo vacío';
+        label.appendChild(this.honeypot);
+        wrapper.appendChild(label);
+        this.form.appendChild(wrapper);
+    }
+
     /**
      * Configura la validación
      */
@@ -81,6 +235,44 @@ export class ContactForm {
             // Limpiar errores on input
             field.addEventListener('input', () => this.handleFieldInput(fieldName, field));
         });
+        
+        // Los campos condicionales dependen de los valores de los demás
+        this.form.addEventListener('input', this.updateVisibility);
+        this.form.addEventListener('change', this.updateVisibility);
+    }
+
+    /**
+     * Busca la definición de un campo en el esquema
+     */
+    getFieldDefinition(fieldName) {
+        return this.schema.find(definition => definition.name === fieldName);
+    }
+
+    /**
+     * Indica si un campo se muestra según su `visibleWhen`
+     */
+    isFieldVisible(definition, data = this.readValues()) {
+        return typeof definition.visibleWhen !== 'function' || Boolean(definition.visibleWhen(data));
+    }
+
+    /**
+     * Muestra u oculta los campos condicionales. Los ocultos se desactivan
+     * para que no se validen ni se envíen.
+     */
+    updateVisibility() {
+        const data = this.readValues();
+        
+        this.schema.forEach(definition => {
+            const field = this.fields[definition.name];
+            if (!field || typeof definition.visibleWhen !== 'function') return;
+            
+            const isVisible = this.isFieldVisible(definition, data);
+            field.parentNode.hidden = !isVisible;
+            field.disabled = !isVisible;
+            if (!isVisible) {
+                this.showFieldError(definition.name, field, null);
+            }
+        });
     }
 
     /**
@@ -90,14 +282,13 @@ export class ContactForm {
         this.form.addEventListener('submit', this.handleSubmit);
         
         // Prevenir envío con Enter en textarea (solo con Ctrl+Enter)
-        const textarea = this.fields.message;
-        if (textarea) {
+        this.form.querySelectorAll('textarea').forEach(textarea => {
             textarea.addEventListener('keydown', (event) => {
                 if (event.key === 'Enter' && event.ctrlKey) {
                     this.handleSubmit(event);
                 }
             });
-        }
+        });
     }
 
     /**
@@ -122,8 +313,8 @@ export class ContactForm {
         });
         
         // Marcar campos requeridos
-        this.options.requiredFields.forEach(fieldName => {
-            const field = this.fields[fieldName];
+        this.schema.filter(definition => definition.required).forEach(definition => {
+            const field = this.fields[definition.name];
             if (field) {
                 field.setAttribute('required', '');
                 field.setAttribute('aria-required', 'true');
@@ -135,12 +326,7 @@ export class ContactForm {
      * Obtiene el label apropiado para un campo
      */
     getFieldLabel(fieldName) {
-        const labels = {
-            name: 'Nombre completo',
-            email: 'Correo electrónico',
-            message: 'Mensaje'
-        };
-        return labels[fieldName] || fieldName;
+        return this.getFieldDefinition(fieldName)?.label || fieldName;
     }
 
     /**
@@ -152,6 +338,16 @@ export class ContactForm {
         if (this.isSubmitting) return;
         
         try {
+            // A los bots se les responde como si el envío hubiera funcionado,
+            // para que no sepan qué los delató.
+            const spamReason = this.detectBot();
+            if (spamReason) {
+                console.warn('🛑 Envío descartado como spam:', spamReason);
+                this.resetForm();
+                this.showSuccessMessage();
+                return;
+            }
+            
             // Validar formulario completo
             const isValid = this.validateForm();
             if (!isValid) {
@@ -159,6 +355,14 @@ export class ContactForm {
                 return;
             }
             
+            // Límite de envíos por navegador
+            const waitMs = this.getThrottleWait();
+            if (waitMs > 0) {
+                const minutes = Math.ceil(waitMs / 60000);
+                this.showErrorMessage(`Ya enviaste varios mensajes. Podrás enviar otro en ${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}.`);
+                return;
+            }
+            
             this.setSubmittingState(true);
             
             // Recopilar datos del formulario
@@ -168,12 +372,15 @@ export class ContactForm {
             const success = await this.submitForm(formData);
             
             if (success) {
-                this.showSuccessMessage();
+                this.recordSubmission();
                 
+                // Primero se limpia: `resetForm` también quita los mensajes
                 if (this.options.resetOnSuccess) {
                     this.resetForm();
                 }
                 
+                this.showSuccessMessage();
+                
                 // Trigger custom event
                 this.form.dispatchEvent(new CustomEvent('formSubmitSuccess', {
                     detail: { formData }
@@ -194,6 +401,58 @@ export class ContactForm {
         }
     }
 
+    /**
+     * Revisa las señales de un envío automático: el campo trampa lleno o un
+     * formulario enviado más rápido de lo que una persona tarda en escribirlo.
+     * @returns {string|null} El motivo, o `null` si parece una persona.
+     */
+    detectBot() {
+        if (this.honeypot?.value) {
+            return 'campo trampa lleno';
+        }
+        
+        if (Date.now() - this.startedAt < this.options.minSubmitTime) {
+            return 'enviado demasiado rápido';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Lee los envíos recientes de este navegador
+     */
+    getRecentSubmissions() {
+        try {
+            const submissions = JSON.parse(localStorage.getItem(this.options.throttleKey)) || [];
+            return submissions.filter(time => Date.now() - time < this.options.submissionWindow);
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Milisegundos que faltan para poder enviar otro mensaje (0 si ya se puede)
+     */
+    getThrottleWait() {
+        const submissions = this.getRecentSubmissions();
+        if (submissions.length < this.options.maxSubmissions) return 0;
+        
+        const oldest = Math.min(...submissions);
+        return Math.max(0, oldest + this.options.submissionWindow - Date.now());
+    }
+
+    /**
+     * Registra un envío para el límite por navegador
+     */
+    recordSubmission() {
+        try {
+            const submissions = [...this.getRecentSubmissions(), Date.now()];
+            localStorage.setItem(this.options.throttleKey, JSON.stringify(submissions));
+        } catch {
+            // Sin localStorage no hay límite entre recargas; el resto de filtros sigue activo.
+        }
+    }
+
     /**
      * Valida todo el formulario
      */
@@ -216,67 +475,100 @@ export class ContactForm {
      * Valida un campo específico
      */
     validateField(fieldName, field) {
-        const validator = this.validators[fieldName];
-        if (!validator) return true;
+        const definition = this.getFieldDefinition(fieldName);
+        if (!definition) return true;
+        
+        const data = this.readValues();
+        if (!this.isFieldVisible(definition, data)) {
+            this.showFieldError(fieldName, field, null);
+            return true;
+        }
         
-        const result = validator(field.value.trim());
-        this.showFieldError(fieldName, field, result.isValid ? null : result.message);
+        const message = this.validateValue(definition, data[fieldName], data);
+        this.showFieldError(fieldName, field, message);
         
-        return result.isValid;
+        return !message;
     }
 
     /**
-     * Validador para el nombre
+     * Aplica las reglas del esquema a un valor
+     * @returns {string|null} El mensaje de error, o `null` si es válido
      */
-    validateName(value) {
-        if (!value) {
-            return { isValid: false, message: 'El nombre es requerido' };
+    validateValue(definition, value, data) {
+        const messages = definition.messages || {};
+        const label = definition.label || definition.name;
+        
+        if (value === '' || value === null) {
+            return definition.required
+                ? messages.required || `El campo "${label}" es requerido`
+                : null;
         }
         
-        if (value.length < 2) {
-            return { isValid: false, message: 'El nombre debe tener al menos 2 caracteres' };
+        if (definition.minLength && value.length < definition.minLength) {
+            return messages.minLength || `"${label}" debe tener al menos ${definition.minLength} caracteres`;
         }
         
-        if (value.length > 50) {
-            return { isValid: false, message: 'El nombre no puede tener más de 50 caracteres' };
+        if (definition.maxLength && value.length > definition.maxLength) {
+            return messages.maxLength || `"${label}" no puede tener más de ${definition.maxLength} caracteres`;
         }
         
-        return { isValid: true };
-    }
-
-    /**
-     * Validador para el email
-     */
-    validateEmail(value) {
-        if (!value) {
-            return { isValid: false, message: 'El correo electrónico es requerido' };
+        const typePattern = TYPE_PATTERNS[definition.type];
+        if (typePattern && !typePattern.pattern.test(value)) {
+            return messages.type || typePattern.message;
+        }
+        
+        if (definition.type === 'number' && !Number.isFinite(value)) {
+            return messages.type || `"${label}" debe ser un número`;
         }
         
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-            return { isValid: false, message: 'Por favor, ingresa un correo electrónico válido' };
+        if (definition.pattern && !definition.pattern.test(value)) {
+            return messages.pattern || `"${label}" no tiene un formato válido`;
         }
         
-        return { isValid: true };
+        // Números y fechas AAAA-MM-DD se comparan directamente
+        const min = typeof definition.min === 'function' ? definition.min(data) : definition.min;
+        const max = typeof definition.max === 'function' ? definition.max(data) : definition.max;
+        
+        if (min !== undefined && min !== null && value < min) {
+            return messages.min || `"${label}" debe ser como mínimo ${min}`;
+        }
+        
+        if (max !== undefined && max !== null && value > max) {
+            return messages.max || `"${label}" debe ser como máximo ${max}`;
+        }
+        
+        return typeof definition.validate === 'function'
+            ? definition.validate(value, data, this) || null
+            : null;
     }
 
     /**
-     * Validador para el mensaje
+     * Revisa el contenido del mensaje en busca de señales de spam
+     * @returns {string|null}
      */
-    validateMessage(value) {
-        if (!value) {
-            return { isValid: false, message: 'El mensaje es requerido' };
+    checkMessageContent(value) {
+        if (this.countLinks(value) > this.options.maxLinks) {
+            return `El mensaje no puede tener más de ${this.options.maxLinks} enlaces`;
         }
         
-        if (value.length < 10) {
-            return { isValid: false, message: 'El mensaje debe tener al menos 10 caracteres' };
+        // "aaaaaaaaaa" o "!!!!!!!!!!": más de 8 caracteres iguales seguidos
+        if (/(.)\1{8,}/u.test(value)) {
+            return 'El mensaje tiene demasiados caracteres repetidos';
         }
         
-        if (value.length > 1000) {
-            return { isValid: false, message: 'El mensaje no puede tener más de 1000 caracteres' };
+        // Texto sin ninguna palabra real (solo símbolos, números o enlaces)
+        if (!/\p{L}{2,}/u.test(value.replace(/\S*(https?:\/\/|www\.)\S*/gi, ''))) {
+            return 'Por favor, escribe tu mensaje con palabras';
         }
         
-        return { isValid: true };
+        return null;
+    }
+
+    /**
+     * Cuenta los enlaces de un texto (http://, https:// o www.)
+     */
+    countLinks(value) {
+        return (value.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
     }
 
     /**
@@ -319,14 +611,34 @@ export class ContactForm {
     }
 
     /**
-     * Obtiene los datos del formulario
+     * Lee el valor de cada campo del esquema: texto sin espacios sobrantes y
+     * los campos numéricos como número (`null` si están vacíos)
      */
-    getFormData() {
+    readValues() {
         const data = {};
         
-        Object.entries(this.fields).forEach(([fieldName, field]) => {
-            if (field) {
-                data[fieldName] = field.value.trim();
+        this.schema.forEach(definition => {
+            const field = this.fields?.[definition.name];
+            if (!field) return;
+            
+            const value = field.value.trim();
+            data[definition.name] = definition.type === 'number'
+                ? (value === '' ? null : Number(value))
+                : value;
+        });
+        
+        return data;
+    }
+
+    /**
+     * Obtiene los datos del formulario (sin los campos ocultos)
+     */
+    getFormData() {
+        const data = this.readValues();
+        
+        this.schema.forEach(definition => {
+            if (!this.isFieldVisible(definition, data)) {
+                delete data[definition.name];
             }
         });
         
@@ -348,15 +660,20 @@ export class ContactForm {
             });
             
             return response.ok;
-        } else {
-            // Simulación para demo
-            console.log('📧 Datos del formulario:', formData);
-            
-            // Simular delay de red
-            await new Promise(resolve => setTimeout(resolve, 1500));
-            
-            return true;
         }
+
+        if (this.options.submitHandler) {
+            return this.options.submitHandler(formData);
+        }
+
+        // Sin endpoint propio, el mensaje se guarda en Supabase y se lee
+        // desde la bandeja de entrada del dashboard.
+        const { error } = await submitContactMessage(formData);
+        if (error) {
+            throw error;
+        }
+
+        return true;
     }
 
     /**
@@ -383,7 +700,8 @@ export class ContactForm {
      * Muestra mensaje de éxito
      */
     showSuccessMessage() {
-        this.showMessage('¡Gracias por contactarnos! Te responderemos pronto.', 'success');
+        const { successMessage } = this.options;
+        this.showMessage(typeof successMessage === 'function' ? successMessage() : successMessage, 'success');
     }
 
     /**
@@ -439,6 +757,7 @@ export class ContactForm {
      */
     resetForm() {
         this.form.reset();
+        this.startedAt = Date.now();
         
         // Limpiar errores
         Object.entries(this.fields).forEach(([fieldName, field]) => {
@@ -452,6 +771,8 @@ export class ContactForm {
         if (formMessage) {
             formMessage.remove();
         }
+        
+        this.updateVisibility();
     }
 
     /**
@@ -460,6 +781,8 @@ export class ContactForm {
     destroy() {
         // Remover event listeners
         this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('input', this.updateVisibility);
+        this.form.removeEventListener('change', this.updateVisibility);
         
         Object.entries(this.fields).forEach(([fieldName, field]) => {
             if (field) {
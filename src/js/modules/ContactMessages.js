@@ -0,0 +1,121 @@
+import { supabase } from './supabaseClient.js';
+import { escapeLikePattern } from './ProductQueries.js';
+
+/**
+ * Estados de un mensaje de contacto en la bandeja de entrada.
+ */
+export const MESSAGE_STATUSES = {
+  unread: { label: 'Sin leer' },
+  read: { label: 'Leído' },
+  answered: { label: 'Respondido' }
+};
+
+/**
+ * Guarda un mensaje enviado desde el formulario de contacto. No se pide la fila
+ * de vuelta porque los visitantes no tienen permiso para leer los mensajes.
+ * @param {{name: string, email: string, message: string}} message
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function submitContactMessage({ name, email, message }) {
+  const { error } = await supabase
+    .from('contact_messages')
+    .insert([{ name, email, message }]);
+
+  return { error };
+}
+
+/**
+ * Obtiene los mensajes de la bandeja de entrada, del más reciente al más antiguo.
+ * @param {{searchTerm?: string, status?: string, archived?: boolean}} [filters]
+ *   `archived` muestra los archivados en lugar de los activos.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchContactMessages({ searchTerm = '', status = '', archived = false } = {}) {
+  let query = supabase
+    .from('contact_messages')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  // Las comas, comillas y paréntesis romperían la sintaxis de `or`, así que se
+  // quitan; los comodines de `ilike` se escapan para buscar el texto literal.
+  const term = escapeLikePattern(searchTerm.trim().replace(/[,()"]/g, ' '));
+  if (term) {
+    query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,message.ilike.%${term}%`);
+  }
+
+  const { data, error } = await query;
+  return { data, error };
+}
+
+/**
+ * Cuenta los mensajes sin leer que no están archivados.
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function fetchUnreadCount() {
+  const { count, error } = await supabase
+    .from('contact_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'unread')
+    .is('archived_at', null);
+
+  return { data: count, error };
+}
+
+/**
+ * Cambia el estado de un mensaje y registra quién lo gestionó.
+ * @param {number|string} messageId
+ * @param {'unread'|'read'|'answered'} status
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function updateMessageStatus(messageId, status) {
+  const { data: { user } } = await supabase.auth.getUser();
+
+  const { error } = await supabase
+    .from('contact_messages')
+    .update({ status, handled_by: status === 'unread' ? null : user?.id })
+    .eq('id', messageId);
+
+  return { error };
+}
+
+/**
+ * Archiva un mensaje, o lo devuelve a la bandeja si `archived` es `false`.
+ * @param {number|string} messageId
+ * @param {boolean} [archived]
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function archiveMessage(messageId, archived = true) {
+  const { error } = await supabase
+    .from('contact_messages')
+    .update({ archived_at: archived ? new Date().toISOString() : null })
+    .eq('id', messageId);
+
+  return { error };
+}
+
+/**
+ * Se suscribe a los mensajes nuevos y a los cambios de estado, para mantener
+ * al día el contador de no leídos.
+ * @param {(payload: Object) => void} onChange
+ * @returns {Function} Una función para cancelar la suscripción.
+ */
+export function subscribeToContactMessages(onChange) {
+  const channel = supabase
+    .channel('contact-messages-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'contact_messages' }, onChange)
+    .subscribe((status, error) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error('Error en la suscripción en tiempo real de mensajes:', error || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
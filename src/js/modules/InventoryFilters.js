@@ -0,0 +1,28 @@
+/**
+ * Filtros iniciales: sin filtros y los productos más nuevos primero.
+ */
+export function createDefaultFilters() {
+  return {
+    searchTerm: '',
+    categories: new Set(),
+    minStock: null,
+    maxStock: null,
+    includeArchived: false,
+    sortBy: 'created_at',
+    sortDirection: 'desc'
+  };
+}
+
+/**
+ * Normaliza un texto para comparar sin distinguir mayúsculas ni tildes
+ * (por ejemplo, "Pán" y "pan" quedan iguales).
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
@@ -0,0 +1,22 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Se suscribe a los cambios (INSERT, UPDATE y DELETE) de la tabla `products`.
+ * @param {(payload: Object) => void} onChange - Recibe el payload de Supabase Realtime
+ *   (`eventType`, `new` y `old`).
+ * @returns {Function} Una función para cancelar la suscripción.
+ */
+export function subscribeToProductChanges(onChange) {
+  const channel = supabase
+    .channel('products-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'products' }, onChange)
+    .subscribe((status, error) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error('Error en la suscripción en tiempo real de productos:', error || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
@@ -0,0 +1,318 @@
+import { supabase } from './supabaseClient.js';
+import { normalizeText } from './InventoryFilters.js';
+import { validateProductInput, parseDecimal } from './ProductValidation.js';
+import { resolveCategoryNames } from './Categories.js';
+
+/**
+ * Columnas del inventario que se exportan, en orden, con su encabezado.
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'name', header: 'nombre' },
+  { key: 'category', header: 'categoria' },
+  { key: 'stock', header: 'stock' },
+  { key: 'min_stock', header: 'stock_minimo' },
+  { key: 'price', header: 'precio' },
+  { key: 'unit_cost', header: 'costo' },
+  { key: 'tax_rate', header: 'impuesto' },
+  { key: 'created_at', header: 'creado' }
+];
+
+/**
+ * Campos que se pueden importar desde un CSV y los encabezados que se
+ * reconocen automáticamente para cada uno.
+ */
+export const IMPORT_FIELDS = {
+  name: { label: 'Nombre', required: true, aliases: ['nombre', 'name', 'producto', 'product'] },
+  category: { label: 'Categoría', required: false, aliases: ['categoria', 'category', 'tipo'] },
+  stock: { label: 'Stock', required: true, aliases: ['stock', 'cantidad', 'existencias', 'quantity'] },
+  min_stock: { label: 'Stock mínimo', required: false, aliases: ['stock_minimo', 'stock minimo', 'minimo', 'min_stock'] },
+  price: { label: 'Precio de venta', required: false, aliases: ['precio', 'price', 'precio_venta', 'precio venta'] },
+  unit_cost: { label: 'Costo unitario', required: false, aliases: ['costo', 'cost', 'unit_cost', 'costo_unitario', 'costo unitario'] },
+  tax_rate: { label: 'Impuesto (%)', required: false, aliases: ['impuesto', 'iva', 'tax', 'tax_rate'] }
+};
+
+/**
+ * Convierte una lista de productos en texto CSV.
+ * @param {Array<Object>} products
+ * @returns {string}
+ */
+export function productsToCsv(products) {
+  const header = EXPORT_COLUMNS.map(column => escapeCsvValue(column.header)).join(',');
+  const rows = products.map(product =>
+    EXPORT_COLUMNS.map(column => escapeCsvValue(product[column.key])).join(',')
+  );
+  return [header, ...rows].join('\r\n');
+}
+
+/**
+ * Convierte una lista de productos en JSON con las columnas exportables.
+ * @param {Array<Object>} products
+ * @returns {string}
+ */
+export function productsToJson(products) {
+  const rows = products.map(product =>
+    Object.fromEntries(EXPORT_COLUMNS.map(column => [column.key, product[column.key] ?? null]))
+  );
+  return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Descarga un texto como archivo desde el navegador.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+export function downloadFile(content, fileName, mimeType) {
+  // El BOM hace que Excel reconozca las tildes del CSV.
+  const blob = new Blob([mimeType.startsWith('text/csv') ? '\uFEFF' + content : content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Interpreta un texto CSV. Detecta si el separador es coma o punto y coma
+ * (Excel en español usa punto y coma) y respeta los valores entre comillas.
+ * @param {string} text
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  // Descartamos las líneas vacías.
+  const nonEmpty = records.filter(row => row.some(cell => cell.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+
+  return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Propone qué columna del CSV corresponde a cada campo importable.
+ * @param {Array<string>} headers
+ * @returns {Object} Mapa `campo -> índice de columna` (o `null` si no se reconoce).
+ */
+export function guessColumnMapping(headers) {
+  const normalizedHeaders = headers.map(normalizeText);
+
+  return Object.fromEntries(Object.entries(IMPORT_FIELDS).map(([field, { aliases }]) => {
+    const index = normalizedHeaders.findIndex(header => aliases.includes(header));
+    return [field, index === -1 ? null : index];
+  }));
+}
+
+/**
+ * Valida las filas del CSV con el mapeo de columnas elegido y detecta
+ * duplicados por nombre, tanto dentro del archivo como en el inventario.
+ * @param {Array<Array<string>>} rows
+ * @param {Object} mapping - Mapa `campo -> índice de columna`.
+ * @param {Set<string>} existingNames - Nombres ya existentes, normalizados.
+ * @returns {Array<{line: number, values: Object, status: 'ok'|'error'|'duplicate', message: string}>}
+ */
+export function validateImportRows(rows, mapping, existingNames) {
+  const seenNames = new Set();
+
+  return rows.map((row, index) => {
+    const read = field => (mapping[field] === null ? '' : unescapeCsvValue((row[mapping[field]] ?? '').trim()));
+    const values = {
+      name: read('name'),
+      category: read('category'),
+      stock: read('stock'),
+      minStock: read('min_stock'),
+      price: read('price'),
+      unitCost: read('unit_cost'),
+      taxRate: read('tax_rate')
+    };
+    // La fila 1 es el encabezado.
+    const line = index + 2;
+
+    const error = validateProductInput(values);
+    if (error) {
+      return { line, values, status: 'error', message: error };
+    }
+
+    const normalizedName = normalizeText(values.name);
+    if (existingNames.has(normalizedName)) {
+      return { line, values, status: 'duplicate', message: 'Ya existe en el inventario.' };
+    }
+    if (seenNames.has(normalizedName)) {
+      return { line, values, status: 'duplicate', message: 'Está repetido en el archivo.' };
+    }
+    seenNames.add(normalizedName);
+
+    return { line, values, status: 'ok', message: '' };
+  });
+}
+
+/**
+ * Inserta las filas válidas en lotes. Cada producto se crea con stock 0 y su
+ * stock inicial se registra como movimiento, igual que en el formulario.
+ * Las categorías se asignan a las existentes sin distinguir mayúsculas ni
+ * tildes; las que no existen se crean.
+ * Si un lote falla, se reintenta fila por fila para saber cuáles fallaron.
+ * @param {Array} validRows - Filas con `status: 'ok'` de `validateImportRows`.
+ * @param {{batchSize?: number, onProgress?: Function}} [options]
+ * @returns {Promise<{inserted: Array, failed: Array<{line: number, name: string, message: string}>}>}
+ */
+export async function importProducts(validRows, { batchSize = 100, onProgress = () => {} } = {}) {
+  const { data: { user } } = await supabase.auth.getUser();
+  const inserted = [];
+  const failed = [];
+
+  const { data: categoryNames, error: categoriesError } = await resolveCategoryNames(
+    validRows.map(row => row.values.category)
+  );
+  if (categoriesError) {
+    return {
+      inserted: [],
+      failed: validRows.map(row => ({
+        line: row.line,
+        name: row.values.name,
+        message: `No se pudieron preparar las categorías: ${categoriesError.message}`
+      }))
+    };
+  }
+
+  for (let i = 0; i < validRows.length; i += batchSize) {
+    const batch = validRows.slice(i, i + batchSize);
+    const { data, error } = await insertBatch(batch, categoryNames);
+
+    if (error) {
+      // Reintentamos fila por fila para aislar las que fallan.
+      for (const row of batch) {
+        const single = await insertBatch([row], categoryNames);
+        if (single.error) {
+          failed.push({ line: row.line, name: row.values.name, message: single.error.message });
+        } else {
+          inserted.push({ row, product: single.data[0] });
+        }
+      }
+    } else {
+      data.forEach((product, index) => inserted.push({ row: batch[index], product }));
+    }
+
+    onProgress(Math.min(i + batchSize, validRows.length), validRows.length);
+  }
+
+  // Registramos el stock inicial de los productos creados.
+  const movements = inserted
+    .filter(({ row }) => parseInt(row.values.stock, 10) > 0)
+    .map(({ row, product }) => ({
+      product_id: product.id,
+      reason: 'correction',
+      quantity: parseInt(row.values.stock, 10),
+      note: 'Stock inicial (importación CSV)',
+      user_id: user?.id,
+      user_email: user?.email
+    }));
+
+  for (let i = 0; i < movements.length; i += batchSize) {
+    const { error } = await supabase
+      .from('stock_movements')
+      .insert(movements.slice(i, i + batchSize));
+
+    if (error) {
+      console.error('Error al registrar el stock inicial importado:', error);
+      movements.slice(i, i + batchSize).forEach(movement => {
+        const { row } = inserted.find(({ product }) => product.id === movement.product_id);
+        failed.push({
+          line: row.line,
+          name: row.values.name,
+          message: 'Se creó el producto, pero no su stock inicial.'
+        });
+      });
+    }
+  }
+
+  return { inserted: inserted.map(({ product }) => product), failed };
+}
+
+/**
+ * Inserta un lote de filas validadas en `products`.
+ * @param {Array} rows
+ * @param {Map<string, string>} categoryNames - Mapa de `resolveCategoryNames`.
+ */
+async function insertBatch(rows, categoryNames) {
+  return supabase
+    .from('products')
+    .insert(rows.map(({ values }) => ({
+      name: values.name,
+      category: categoryNames.get(values.category) ?? null,
+      stock: 0,
+      min_stock: values.minStock === '' ? null : parseInt(values.minStock, 10),
+      price: parseDecimal(values.price),
+      unit_cost: parseDecimal(values.unitCost),
+      tax_rate: parseDecimal(values.taxRate) ?? 0
+    })))
+    .select();
+}
+
+/**
+ * Quita el `'` que `escapeCsvValue` antepone a los valores que parecen fórmulas,
+ * para que exportar e importar de nuevo no cambie los nombres.
+ * @param {string} text
+ * @returns {string}
+ */
+export function unescapeCsvValue(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Escapa un valor para una celda CSV. Los valores que empiezan por `=`, `+`,
+ * `-` o `@` se prefijan con `'` para que Excel no los ejecute como fórmulas.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,104 @@
+// Intentos fallidos permitidos antes de bloquear el formulario.
+export const MAX_FAILED_ATTEMPTS = 5;
+
+// Duración del primer bloqueo; cada bloqueo siguiente dura el doble.
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 30 * 60 * 1000;
+
+// Los fallos más antiguos que esto ya no cuentan.
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+const STORAGE_KEY = 'panoro-login-attempts';
+
+/**
+ * Lee el estado de intentos de un correo. Se guarda en localStorage para que
+ * recargar la página no reinicie el contador.
+ * @param {string} email
+ * @returns {{failures: number, lockouts: number, lastFailureAt: number, lockedUntil: number}}
+ */
+function readAttempts(email) {
+  const empty = { failures: 0, lockouts: 0, lastFailureAt: 0, lockedUntil: 0 };
+
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const attempts = all[normalizeEmail(email)];
+    if (!attempts) return empty;
+
+    if (Date.now() - attempts.lastFailureAt > ATTEMPT_WINDOW_MS && Date.now() > attempts.lockedUntil) {
+      return empty;
+    }
+    return { ...empty, ...attempts };
+  } catch {
+    return empty;
+  }
+}
+
+function writeAttempts(email, attempts) {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    if (attempts) {
+      all[normalizeEmail(email)] = attempts;
+    } else {
+      delete all[normalizeEmail(email)];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // Sin localStorage (modo privado) el bloqueo solo dura lo que la página.
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * Milisegundos que faltan para poder volver a intentar con este correo.
+ * @param {string} email
+ * @returns {number} 0 si no está bloqueado.
+ */
+export function getLockoutRemaining(email) {
+  return Math.max(0, readAttempts(email).lockedUntil - Date.now());
+}
+
+/**
+ * Registra un intento fallido y bloquea el correo al llegar al máximo.
+ * @param {string} email
+ * @returns {{attemptsLeft: number, lockedForMs: number}}
+ */
+export function recordFailedAttempt(email) {
+  const attempts = readAttempts(email);
+  attempts.failures += 1;
+  attempts.lastFailureAt = Date.now();
+
+  let lockedForMs = 0;
+  if (attempts.failures >= MAX_FAILED_ATTEMPTS) {
+    lockedForMs = Math.min(BASE_LOCKOUT_MS * 2 ** attempts.lockouts, MAX_LOCKOUT_MS);
+    attempts.lockedUntil = Date.now() + lockedForMs;
+    attempts.lockouts += 1;
+    attempts.failures = 0;
+  }
+
+  writeAttempts(email, attempts);
+  return {
+    attemptsLeft: lockedForMs ? 0 : MAX_FAILED_ATTEMPTS - attempts.failures,
+    lockedForMs
+  };
+}
+
+/**
+ * Olvida los intentos fallidos de un correo (tras entrar con éxito).
+ * @param {string} email
+ */
+export function clearFailedAttempts(email) {
+  writeAttempts(email, null);
+}
+
+/**
+ * Texto para una espera, por ejemplo "2 min" o "45 s".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+}
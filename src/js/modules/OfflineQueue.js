@@ -0,0 +1,255 @@
+import { supabase } from './supabaseClient.js';
+import { recordStockMovement } from './StockLedger.js';
+import { fetchExistingProductNames } from './ProductQueries.js';
+import { resolveCategoryNames } from './Categories.js';
+import { normalizeText } from './InventoryFilters.js';
+import {
+  addPendingChange,
+  getPendingChanges,
+  updatePendingChange,
+  deletePendingChange
+} from './OfflineStore.js';
+
+/**
+ * Indica si un error se debe a la falta de conexión y no a la respuesta del servidor.
+ * @param {Object|null} error
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  if (!navigator.onLine) return true;
+  if (!error) return false;
+  return /failed to fetch|networkerror|load failed|fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Pone en cola el alta de un producto hecha sin conexión.
+ * @param {{name: string, category: string, stock: number, price: number|null,
+ *   unit_cost: number|null, tax_rate: number}} values - `category` es el texto
+ *   escrito; se traduce a una categoría administrada al sincronizar.
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function queueProductInsert(values) {
+  return addPendingChange({ type: 'insert', productName: values.name, values });
+}
+
+/**
+ * Pone en cola el envío a la papelera de un producto hecho sin conexión.
+ * Se guarda la fecha de modificación que se conocía para detectar conflictos.
+ * @param {{id: number|string, name: string, updated_at: string}} product
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function queueProductDelete(product) {
+  return addPendingChange({
+    type: 'delete',
+    productId: product.id,
+    productName: product.name,
+    baseUpdatedAt: product.updated_at
+  });
+}
+
+/**
+ * Aplica en orden los cambios pendientes. Los que chocan con cambios hechos
+ * desde otro equipo se marcan como conflicto y se saltan hasta que el usuario
+ * decida qué hacer con ellos.
+ * @returns {Promise<{applied: number, conflicts: number, offline: boolean}>}
+ *   `offline` indica que la conexión volvió a caer a mitad de la sincronización.
+ */
+export async function replayPendingChanges() {
+  const result = { applied: 0, conflicts: 0, offline: false };
+  const { data: changes, error } = await getPendingChanges();
+
+  if (error) {
+    console.error('Error al leer los cambios pendientes:', error);
+    return result;
+  }
+
+  for (const change of changes.filter(({ status }) => status === 'pending')) {
+    const { conflict, error: applyError, createdProductId } = await applyChange(change);
+
+    if (applyError && isOfflineError(applyError)) {
+      // Si el producto alcanzó a crearse, el próximo intento solo registra su stock.
+      if (createdProductId) {
+        await updatePendingChange({ ...change, createdProductId });
+      }
+      result.offline = true;
+      break;
+    }
+
+    if (conflict || applyError) {
+      await updatePendingChange({
+        ...change,
+        ...(createdProductId && { createdProductId }),
+        status: 'conflict',
+        conflictMessage: conflict || `Error del servidor: ${applyError.message}`
+      });
+      result.conflicts++;
+      continue;
+    }
+
+    await deletePendingChange(change.id);
+    result.applied++;
+  }
+
+  return result;
+}
+
+/**
+ * Resuelve un conflicto: `apply` aplica el cambio igualmente y `discard` lo descarta.
+ * @param {Object} change - El cambio en conflicto.
+ * @param {'apply'|'discard'} resolution
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function resolveConflict(change, resolution) {
+  if (resolution === 'apply') {
+    const { conflict, error, createdProductId } = await applyChange(change, { force: true });
+    if (createdProductId) {
+      await updatePendingChange({ ...change, createdProductId, conflictMessage: conflict || change.conflictMessage });
+    }
+    if (error || conflict) {
+      return { error: error || new Error(conflict) };
+    }
+  }
+
+  const { error } = await deletePendingChange(change.id);
+  return { error };
+}
+
+/**
+ * Aplica un cambio pendiente en Supabase.
+ * @param {Object} change
+ * @param {{force?: boolean}} [options] - `force` omite la detección de conflictos.
+ * @returns {Promise<{conflict?: string, error?: Object|null, createdProductId?: number}>}
+ *   `createdProductId` indica que el producto se creó pero falta su stock inicial.
+ */
+async function applyChange(change, { force = false } = {}) {
+  if (change.type === 'insert') {
+    return applyInsert(change, force);
+  }
+
+  if (change.type === 'delete') {
+    return applyDelete(change, force);
+  }
+
+  return { error: new Error(`Tipo de cambio desconocido: ${change.type}`) };
+}
+
+/**
+ * Crea un producto agregado sin conexión, con su stock inicial como movimiento.
+ * Hay conflicto si mientras tanto se creó un producto con el mismo nombre, o si
+ * el producto se creó pero no se pudo registrar su stock inicial; en ese caso
+ * el siguiente intento solo registra el stock (`createdProductId`).
+ */
+async function applyInsert(change, force) {
+  const { values } = change;
+
+  if (change.createdProductId) {
+    return recordInitialStock(change.createdProductId, values.stock);
+  }
+
+  if (!force) {
+    const { data: existingNames, error } = await fetchExistingProductNames([values.name]);
+    if (error) {
+      return { error };
+    }
+    if (existingNames.has(normalizeText(values.name))) {
+      return { conflict: 'Mientras estabas sin conexión se creó un producto con el mismo nombre.' };
+    }
+  }
+
+  const { data: categoryNames, error: categoriesError } = await resolveCategoryNames([values.category]);
+  if (categoriesError) {
+    return { error: categoriesError };
+  }
+
+  const { data: product, error } = await supabase
+    .from('products')
+    .insert([{
+      name: values.name,
+      category: categoryNames.get(values.category) ?? null,
+      stock: 0,
+      price: values.price,
+      unit_cost: values.unit_cost,
+      tax_rate: values.tax_rate
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    return { error };
+  }
+
+  return recordInitialStock(product.id, values.stock);
+}
+
+/**
+ * Registra como movimiento el stock inicial de un producto agregado sin conexión.
+ */
+async function recordInitialStock(productId, stock) {
+  if (stock <= 0) {
+    return {};
+  }
+
+  const { error } = await recordStockMovement({
+    productId,
+    reason: 'correction',
+    quantity: stock,
+    note: 'Stock inicial (agregado sin conexión)'
+  });
+
+  if (error && isOfflineError(error)) {
+    return { error, createdProductId: productId };
+  }
+
+  if (error) {
+    console.error('Error al registrar el stock inicial sin conexión:', error);
+    return {
+      conflict: `El producto se creó, pero no se pudo registrar su stock inicial (${stock}). "Aplicar igualmente" lo vuelve a intentar.`,
+      createdProductId: productId
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Envía a la papelera un producto eliminado sin conexión. Solo se aplica si el
+ * producto no cambió desde que se cargó; si ya estaba en la papelera o ya no
+ * existe, el cambio se da por aplicado.
+ */
+async function applyDelete(change, force) {
+  const { data: product, error: fetchError } = await supabase
+    .from('products')
+    .select('id, updated_at, deleted_at')
+    .eq('id', change.productId)
+    .maybeSingle();
+
+  if (fetchError) {
+    return { error: fetchError };
+  }
+
+  if (!product || product.deleted_at) {
+    return {};
+  }
+
+  let query = supabase
+    .from('products')
+    .update({ deleted_at: new Date().toISOString() }, { count: 'exact' })
+    .eq('id', change.productId)
+    .is('deleted_at', null);
+
+  // La condición sobre `updated_at` evita pisar un cambio que llegue justo ahora.
+  if (!force && change.baseUpdatedAt) {
+    query = query.eq('updated_at', change.baseUpdatedAt);
+  }
+
+  const { count, error } = await query;
+  if (error) {
+    return { error };
+  }
+
+  if (count === 0) {
+    return { conflict: 'El producto se modificó desde otro equipo mientras estabas sin conexión.' };
+  }
+
+  return {};
+}
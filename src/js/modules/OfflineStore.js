@@ -0,0 +1,175 @@
+/**
+ * Almacenamiento local del dashboard en IndexedDB: copias de las páginas del
+ * inventario para mostrarlas sin conexión, la cola de cambios pendientes y el
+ * último perfil cargado (para conservar los permisos sin conexión).
+ * Todas las funciones devuelven `{ data, error }`, como las consultas a Supabase.
+ */
+
+const DB_NAME = 'panoro-dashboard';
+const DB_VERSION = 2;
+const SNAPSHOTS_STORE = 'snapshots';
+const PENDING_STORE = 'pendingChanges';
+const PROFILES_STORE = 'profiles';
+// Páginas guardadas como máximo; se descartan las más antiguas.
+const MAX_SNAPSHOTS = 30;
+
+let databasePromise = null;
+
+/**
+ * Abre (una sola vez) la base de datos local.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      // Se crean solo los almacenes que falten, para actualizar bases de versiones anteriores.
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          database.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'key' });
+        }
+        if (!database.objectStoreNames.contains(PENDING_STORE)) {
+          database.createObjectStore(PENDING_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!database.objectStoreNames.contains(PROFILES_STORE)) {
+          database.createObjectStore(PROFILES_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Si falla (por ejemplo, en navegación privada), se reintenta la próxima vez.
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Ejecuta una operación sobre un almacén y la convierte en promesa.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<{data: any, error: Object|null}>}
+ */
+async function runRequest(storeName, mode, operation) {
+  try {
+    const database = await openDatabase();
+    return await new Promise(resolve => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve({ data: request.result, error: null });
+      transaction.onerror = () => resolve({ data: null, error: transaction.error });
+      transaction.onabort = () => resolve({ data: null, error: transaction.error });
+    });
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+/**
+ * Guarda una copia de una página del inventario.
+ * @param {string} key - Clave de `getPageCacheKey`.
+ * @param {{products: Array, count: number}} page
+ * @returns {Promise<{data: any, error: Object|null}>}
+ */
+export async function savePageSnapshot(key, { products, count }) {
+  const result = await runRequest(SNAPSHOTS_STORE, 'readwrite', store =>
+    store.put({ key, products, count, savedAt: new Date().toISOString() })
+  );
+
+  if (!result.error) {
+    await pruneSnapshots();
+  }
+
+  return result;
+}
+
+/**
+ * Obtiene la copia guardada de una página del inventario.
+ * @param {string} key - Clave de `getPageCacheKey`.
+ * @returns {Promise<{data: {products: Array, count: number, savedAt: string}|undefined, error: Object|null}>}
+ */
+export async function loadPageSnapshot(key) {
+  return runRequest(SNAPSHOTS_STORE, 'readonly', store => store.get(key));
+}
+
+/**
+ * Añade un cambio a la cola de pendientes.
+ * @param {Object} change
+ * @returns {Promise<{data: number|null, error: Object|null}>} El ID del cambio.
+ */
+export async function addPendingChange(change) {
+  return runRequest(PENDING_STORE, 'readwrite', store =>
+    store.add({ ...change, status: 'pending', createdAt: new Date().toISOString() })
+  );
+}
+
+/**
+ * Obtiene los cambios pendientes en el orden en que se hicieron.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function getPendingChanges() {
+  return runRequest(PENDING_STORE, 'readonly', store => store.getAll());
+}
+
+/**
+ * Guarda un cambio pendiente modificado (por ejemplo, marcado como conflicto).
+ * @param {Object} change - El cambio completo, con su `id`.
+ * @returns {Promise<{data: any, error: Object|null}>}
+ */
+export async function updatePendingChange(change) {
+  return runRequest(PENDING_STORE, 'readwrite', store => store.put(change));
+}
+
+/**
+ * Quita un cambio de la cola.
+ * @param {number} changeId
+ * @returns {Promise<{data: any, error: Object|null}>}
+ */
+export async function deletePendingChange(changeId) {
+  return runRequest(PENDING_STORE, 'readwrite', store => store.delete(changeId));
+}
+
+/**
+ * Guarda el perfil del usuario de la sesión.
+ * @param {{id: string, email: string, role: string}} profile
+ * @returns {Promise<{data: any, error: Object|null}>}
+ */
+export async function saveProfile(profile) {
+  return runRequest(PROFILES_STORE, 'readwrite', store =>
+    store.put({ ...profile, savedAt: new Date().toISOString() })
+  );
+}
+
+/**
+ * Obtiene el último perfil guardado de un usuario.
+ * @param {string} userId
+ * @returns {Promise<{data: {id: string, email: string, role: string, savedAt: string}|undefined, error: Object|null}>}
+ */
+export async function loadProfile(userId) {
+  return runRequest(PROFILES_STORE, 'readonly', store => store.get(userId));
+}
+
+/**
+ * Descarta las copias de página más antiguas por encima de `MAX_SNAPSHOTS`.
+ */
+async function pruneSnapshots() {
+  const { data: snapshots } = await runRequest(SNAPSHOTS_STORE, 'readonly', store => store.getAll());
+  if (!snapshots || snapshots.length <= MAX_SNAPSHOTS) return;
+
+  const oldKeys = snapshots
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+    .slice(MAX_SNAPSHOTS)
+    .map(snapshot => snapshot.key);
+
+  await runRequest(SNAPSHOTS_STORE, 'readwrite', store => {
+    oldKeys.forEach(key => store.delete(key));
+    return store.count();
+  });
+}
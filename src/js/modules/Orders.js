@@ -0,0 +1,203 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Estados de un pedido, en el orden en que avanza.
+ */
+export const ORDER_STATUSES = {
+  received: { label: 'Recibido' },
+  baking: { label: 'En el horno' },
+  ready: { label: 'Listo para recoger' },
+  picked_up: { label: 'Recogido' },
+  cancelled: { label: 'Cancelado' }
+};
+
+// Estados de los pedidos que aún hay que preparar o entregar.
+const ACTIVE_STATUSES = ['received', 'baking', 'ready'];
+
+/**
+ * Franjas horarias de recogida. Deben coincidir con la restricción de
+ * `orders.pickup_slot` en `supabase/migrations/20261019001500_preorders.sql`.
+ */
+export const PICKUP_SLOTS = ['07:00-09:00', '09:00-11:00', '11:00-13:00', '15:00-17:00', '17:00-19:00'];
+
+// Días hacia adelante en los que se puede recoger un pedido (incluido hoy).
+export const MAX_PICKUP_DAYS = 14;
+
+// Anticipación mínima para pedir en una franja de hoy.
+const MIN_LEAD_MINUTES = 60;
+
+// Consulta del catálogo compartida por los componentes de la página principal.
+let catalogueRequest = null;
+
+/**
+ * Obtiene el catálogo público (productos activos, con o sin stock).
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function fetchCatalogueProducts() {
+  const { data, error } = await supabase.rpc('catalogue_products');
+  return { data, error };
+}
+
+/**
+ * Obtiene el catálogo público una sola vez para todos los componentes que lo
+ * muestran (el catálogo y el formulario de pedidos).
+ * @param {{refresh?: boolean}} [options] - `refresh` vuelve a consultarlo, por
+ *   ejemplo cuando un pedido cambió el stock.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export function loadCatalogueProducts({ refresh = false } = {}) {
+  if (refresh || !catalogueRequest) {
+    const request = fetchCatalogueProducts().then(result => {
+      // Un error no se guarda, para que el siguiente intento consulte de nuevo.
+      if (result.error && catalogueRequest === request) {
+        catalogueRequest = null;
+      }
+      return result;
+    });
+    catalogueRequest = request;
+  }
+
+  return catalogueRequest;
+}
+
+/**
+ * Crea un pedido anticipado.
+ * @param {{customerName: string, customerEmail: string, customerPhone: string,
+ *   pickupDate: string, pickupSlot: string, notes?: string,
+ *   items: Array<{productId: number, quantity: number}>}} order
+ * @returns {Promise<{data: number|null, error: Object|null}>} El número del pedido.
+ */
+export async function placeOrder(order) {
+  const { data, error } = await supabase.rpc('place_order', {
+    p_customer_name: order.customerName,
+    p_customer_email: order.customerEmail,
+    p_customer_phone: order.customerPhone,
+    p_pickup_date: order.pickupDate,
+    p_pickup_slot: order.pickupSlot,
+    p_notes: order.notes || '',
+    p_items: order.items.map(item => ({ product_id: item.productId, quantity: item.quantity }))
+  });
+
+  return { data, error };
+}
+
+/**
+ * Obtiene los pedidos con sus productos, ordenados por fecha y franja de recogida.
+ * @param {{status?: string, pickupDate?: string}} [filters] - `status` puede ser
+ *   `'active'` para ver los pedidos que aún no se entregan ni se cancelan.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchOrders({ status = '', pickupDate = '' } = {}) {
+  let query = supabase
+    .from('orders')
+    .select('*, order_items(product_name, unit_price, quantity)')
+    .order('pickup_date', { ascending: true })
+    .order('pickup_slot', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (status === 'active') {
+    query = query.in('status', ACTIVE_STATUSES);
+  } else if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (pickupDate) {
+    query = query.eq('pickup_date', pickupDate);
+  }
+
+  const { data, error } = await query;
+  return { data, error };
+}
+
+/**
+ * Cuenta los pedidos recibidos que aún no se empiezan a preparar.
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function fetchNewOrdersCount() {
+  const { count, error } = await supabase
+    .from('orders')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'received');
+
+  return { data: count, error };
+}
+
+/**
+ * Cambia el estado de un pedido.
+ * @param {number|string} orderId
+ * @param {keyof ORDER_STATUSES} status
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function updateOrderStatus(orderId, status) {
+  const { error } = await supabase
+    .from('orders')
+    .update({ status })
+    .eq('id', orderId);
+
+  return { error };
+}
+
+/**
+ * Total de un pedido a partir de sus productos.
+ * @param {Array<{unit_price: number|null, quantity: number}>} items
+ * @returns {number}
+ */
+export function calculateOrderTotal(items) {
+  return items.reduce((total, item) => total + Number(item.unit_price || 0) * item.quantity, 0);
+}
+
+/**
+ * Primer y último día de recogida en formato `AAAA-MM-DD`, en hora de Colombia.
+ * @returns {{min: string, max: string}}
+ */
+export function getPickupDateRange() {
+  // `en-CA` da el formato AAAA-MM-DD.
+  const formatDate = date => date.toLocaleDateString('en-CA', { timeZone: 'America/Bogota' });
+  const today = new Date();
+  const lastDay = new Date(today.getTime() + MAX_PICKUP_DAYS * 24 * 60 * 60 * 1000);
+
+  return { min: formatDate(today), max: formatDate(lastDay) };
+}
+
+/**
+ * Indica si todavía se puede pedir para una franja: las de hoy necesitan al
+ * menos `MIN_LEAD_MINUTES` de anticipación.
+ * @param {string} pickupDate - `AAAA-MM-DD`.
+ * @param {string} slot - Una de `PICKUP_SLOTS`.
+ * @returns {boolean}
+ */
+export function isPickupSlotAvailable(pickupDate, slot) {
+  if (pickupDate !== getPickupDateRange().min) return true;
+
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const now = new Date().toLocaleTimeString('en-GB', {
+    timeZone: 'America/Bogota',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return toMinutes(slot.split('-')[0]) - toMinutes(now) >= MIN_LEAD_MINUTES;
+}
+
+/**
+ * Se suscribe a los pedidos nuevos y a los cambios de estado.
+ * @param {(payload: Object) => void} onChange
+ * @returns {Function} Una función para cancelar la suscripción.
+ */
+export function subscribeToOrders(onChange) {
+  const channel = supabase
+    .channel('orders-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'orders' }, onChange)
+    .subscribe((status, error) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error('Error en la suscripción en tiempo real de pedidos:', error || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
@@ -0,0 +1,61 @@
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Requisitos mínimos de una contraseña.
+ */
+const REQUIREMENTS = [
+  { test: password => password.length >= MIN_PASSWORD_LENGTH, message: `Al menos ${MIN_PASSWORD_LENGTH} caracteres` },
+  { test: password => /[a-zñ]/.test(password), message: 'Una letra minúscula' },
+  { test: password => /[A-ZÑ]/.test(password), message: 'Una letra mayúscula' },
+  { test: password => /\d/.test(password), message: 'Un número' }
+];
+
+const STRENGTH_LABELS = ['Muy débil', 'Débil', 'Aceptable', 'Fuerte', 'Muy fuerte'];
+
+/**
+ * Evalúa la fortaleza de una contraseña.
+ * @param {string} password
+ * @returns {{score: number, label: string, missing: Array<string>, isValid: boolean}}
+ *   `score` va de 0 a 4; `missing` lista los requisitos que faltan y `isValid`
+ *   indica que se cumplen todos.
+ */
+export function checkPasswordStrength(password) {
+  const missing = REQUIREMENTS
+    .filter(requirement => !requirement.test(password))
+    .map(requirement => requirement.message);
+
+  // Cada requisito suma; los símbolos y la longitud extra suben la nota.
+  let points = REQUIREMENTS.length - missing.length;
+  if (/[^A-Za-z0-9ñÑ]/.test(password)) points++;
+  if (password.length >= 12) points++;
+
+  const score = password ? Math.min(4, Math.max(0, points - 2)) : 0;
+
+  return {
+    score,
+    label: STRENGTH_LABELS[score],
+    missing,
+    isValid: missing.length === 0
+  };
+}
+
+/**
+ * Actualiza un medidor de fortaleza con esta estructura:
+ * `.password-strength > meter + .password-strength-label + ul.password-requirements`.
+ * @param {HTMLElement} container - El elemento `.password-strength`.
+ * @param {string} password
+ * @returns {ReturnType<typeof checkPasswordStrength>}
+ */
+export function updateStrengthMeter(container, password) {
+  const strength = checkPasswordStrength(password);
+
+  container.hidden = password === '';
+  container.dataset.score = strength.score;
+  container.querySelector('meter').value = strength.score;
+  container.querySelector('.password-strength-label').textContent = `Seguridad: ${strength.label}`;
+  container.querySelector('.password-requirements').innerHTML = strength.missing
+    .map(message => `<li>${message}</li>`)
+    .join('');
+
+  return strength;
+}
@@ -0,0 +1,336 @@
+import { ContactForm } from './ContactForm.js';
+import {
+    PICKUP_SLOTS,
+    loadCatalogueProducts,
+    placeOrder,
+    getPickupDateRange,
+    isPickupSlotAvailable
+} from './Orders.js';
+import { formatCOP } from './Pricing.js';
+import { getProductImageUrl } from './ProductImages.js';
+
+/**
+ * Datos del cliente y de la recogida. Las cantidades de cada producto se
+ * eligen aparte, en la lista del catálogo.
+ */
+const PREORDER_FIELDS = [
+    {
+        name: 'customer_name',
+        type: 'text',
+        label: 'Nombre',
+        placeholder: 'Tu nombre completo',
+        required: true,
+        minLength: 2,
+        maxLength: 50
+    },
+    {
+        name: 'customer_email',
+        type: 'email',
+        label: 'Correo electrónico',
+        placeholder: 'Para confirmarte el pedido',
+        required: true
+    },
+    {
+        name: 'customer_phone',
+        type: 'tel',
+        label: 'Teléfono',
+        placeholder: 'Ej: 300 111 2233',
+        required: true
+    },
+    {
+        name: 'pickup_date',
+        type: 'date',
+        label: 'Fecha de recogida',
+        required: true,
+        min: () => getPickupDateRange().min,
+        max: () => getPickupDateRange().max,
+        messages: {
+            min: 'La fecha de recogida no puede ser anterior a hoy',
+            max: 'Solo recibimos pedidos para los próximos 14 días'
+        }
+    },
+    {
+        name: 'pickup_slot',
+        type: 'select',
+        label: 'Hora de recogida',
+        placeholder: 'Elige una franja',
+        options: PICKUP_SLOTS.map(slot => ({ value: slot, label: slot.replace('-', ' a ') })),
+        required: true,
+        // La franja se elige después de la fecha, porque depende de ella
+        visibleWhen: data => Boolean(data.pickup_date),
+        validate: (value, data) => isPickupSlotAvailable(data.pickup_date, value)
+            ? null
+            : 'Esa franja ya no está disponible hoy; elige una más tarde'
+    },
+    {
+        name: 'notes',
+        type: 'textarea',
+        label: 'Notas (opcional)',
+        placeholder: 'Ej: torta con mensaje "Feliz cumpleaños"',
+        maxLength: 500
+    }
+];
+
+export class PreOrderForm {
+    constructor(formElement, options = {}) {
+        this.form = formElement;
+        this.options = {
+            maxQuantity: 20,
+            ...options
+        };
+
+        this.productsContainer = this.form.querySelector('.preorder-products');
+        this.totalElement = this.form.querySelector('.preorder-total');
+        this.products = [];
+        this.quantities = new Map();
+        this.lastOrderId = null;
+
+        // Bind methods
+        this.submitOrder = this.submitOrder.bind(this);
+        this.handleQuantityInput = this.handleQuantityInput.bind(this);
+        this.handleQuantityClick = this.handleQuantityClick.bind(this);
+    }
+
+    /**
+     * Inicializa el formulario de pedidos
+     */
+    async init() {
+        try {
+            this.contactForm = new ContactForm(this.form, {
+                fields: PREORDER_FIELDS,
+                submitHandler: this.submitOrder,
+                successMessage: () => this.getSuccessMessage(),
+                throttleKey: 'panoro-preorder-submissions',
+                maxSubmissions: 5
+            });
+            await this.contactForm.init();
+
+            const { min, max } = getPickupDateRange();
+            this.contactForm.fields.pickup_date.min = min;
+            this.contactForm.fields.pickup_date.max = max;
+
+            this.productsContainer.addEventListener('input', this.handleQuantityInput);
+            this.productsContainer.addEventListener('click', this.handleQuantityClick);
+
+            await this.loadProducts();
+
+            console.log('✅ PreOrderForm inicializado correctamente');
+
+        } catch (error) {
+            console.error('Error inicializando PreOrderForm:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Carga los productos disponibles (los agotados no se pueden pedir). Con
+     * `refresh` se consulta de nuevo el catálogo en lugar de usar el compartido
+     */
+    async loadProducts({ refresh = false } = {}) {
+        const { data, error } = await loadCatalogueProducts({ refresh });
+
+        if (error) {
+            console.error('Error cargando el catálogo para pedidos:', error);
+            this.productsContainer.innerHTML = '<p class="text-red-600">No pudimos cargar los productos. Por favor, intenta más tarde.</p>';
+            return;
+        }
+
+        // Al recargar se conservan las cantidades elegidas (ajustadas al stock nuevo)
+        const previousQuantities = new Map(this.quantities);
+        this.products = data.filter(product => product.stock > 0);
+        this.quantities.clear();
+        this.renderProducts();
+
+        this.productsContainer.querySelectorAll('.preorder-item').forEach(item => {
+            if (previousQuantities.has(item.dataset.id)) {
+                this.setQuantity(item, previousQuantities.get(item.dataset.id));
+            }
+        });
+    }
+
+    /**
+     * Pinta la lista de productos con su selector de cantidad
+     */
+    renderProducts() {
+        this.productsContainer.replaceChildren();
+
+        if (this.products.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-600';
+            empty.textContent = 'Por ahora no hay productos disponibles para pedir.';
+            this.productsContainer.appendChild(empty);
+            this.updateTotal();
+            return;
+        }
+
+        this.products.forEach(product => {
+            const maxQuantity = Math.min(product.stock, this.options.maxQuantity);
+            const item = document.createElement('div');
+            item.className = 'preorder-item flex items-center gap-4 p-3 bg-white rounded-lg shadow-sm';
+            item.dataset.id = product.id;
+
+            if (product.image_path) {
+                const image = document.createElement('img');
+                image.src = getProductImageUrl(product.image_path, { thumbnail: true });
+                image.alt = product.name;
+                image.loading = 'lazy';
+                image.className = 'w-16 h-16 object-cover rounded-lg';
+                item.appendChild(image);
+            }
+
+            const info = document.createElement('div');
+            info.className = 'flex-1 min-w-0';
+            const name = document.createElement('p');
+            name.className = 'font-semibold truncate';
+            name.textContent = product.name;
+            const price = document.createElement('p');
+            price.className = 'text-sm text-gray-600';
+            price.textContent = product.price !== null ? formatCOP(product.price) : 'Precio en tienda';
+            info.append(name, price);
+
+            const quantity = document.createElement('div');
+            quantity.className = 'flex items-center gap-1';
+            quantity.innerHTML = `
+                <button type="button" data-step="-1" class="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200" aria-label="Quitar uno">−</button>
+                <input type="number" class="preorder-quantity w-14 text-center border border-gray-300 rounded-lg py-1"
+                    value="0" min="0" max="${maxQuantity}" inputmode="numeric">
+                <button type="button" data-step="1" class="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200" aria-label="Agregar uno">+</button>
+            `;
+            quantity.querySelector('input').setAttribute('aria-label', `Cantidad de ${product.name}`);
+
+            item.append(info, quantity);
+            this.productsContainer.appendChild(item);
+        });
+
+        this.updateTotal();
+    }
+
+    /**
+     * Fija la cantidad de un producto, dentro de los límites
+     */
+    setQuantity(item, value) {
+        const input = item.querySelector('.preorder-quantity');
+        const max = Number(input.max);
+        const quantity = Math.min(max, Math.max(0, Math.floor(Number(value) || 0)));
+
+        input.value = quantity;
+        if (quantity > 0) {
+            this.quantities.set(item.dataset.id, quantity);
+        } else {
+            this.quantities.delete(item.dataset.id);
+        }
+        item.classList.toggle('ring-2', quantity > 0);
+        item.classList.toggle('ring-blue-500', quantity > 0);
+
+        this.updateTotal();
+    }
+
+    /**
+     * Maneja la cantidad escrita a mano
+     */
+    handleQuantityInput(event) {
+        if (!event.target.classList.contains('preorder-quantity')) return;
+        this.setQuantity(event.target.closest('.preorder-item'), event.target.value);
+    }
+
+    /**
+     * Maneja los botones de más y menos
+     */
+    handleQuantityClick(event) {
+        const button = event.target.closest('button[data-step]');
+        if (!button) return;
+
+        const item = button.closest('.preorder-item');
+        const current = Number(item.querySelector('.preorder-quantity').value) || 0;
+        this.setQuantity(item, current + Number(button.dataset.step));
+    }
+
+    /**
+     * Actualiza el total estimado del pedido
+     */
+    updateTotal() {
+        if (!this.totalElement) return;
+
+        const total = this.getItems().reduce((sum, { productId, quantity }) => {
+            const product = this.products.find(p => String(p.id) === String(productId));
+            return sum + Number(product?.price || 0) * quantity;
+        }, 0);
+        const units = this.getItems().reduce((sum, { quantity }) => sum + quantity, 0);
+
+        this.totalElement.textContent = units === 0
+            ? 'Elige los productos que quieres pedir.'
+            : `${units} ${units === 1 ? 'producto' : 'productos'} · Total estimado: ${formatCOP(total)}`;
+    }
+
+    /**
+     * Productos elegidos con su cantidad
+     */
+    getItems() {
+        return [...this.quantities].map(([productId, quantity]) => ({ productId: Number(productId), quantity }));
+    }
+
+    /**
+     * Envía el pedido (lo llama ContactForm tras validar los datos del cliente)
+     */
+    async submitOrder(formData) {
+        const items = this.getItems();
+        if (items.length === 0) {
+            this.contactForm.showErrorMessage('Elige al menos un producto para tu pedido.');
+            this.productsContainer.querySelector('.preorder-quantity')?.focus();
+            return false;
+        }
+
+        const { data, error } = await placeOrder({
+            customerName: formData.customer_name,
+            customerEmail: formData.customer_email,
+            customerPhone: formData.customer_phone,
+            pickupDate: formData.pickup_date,
+            pickupSlot: formData.pickup_slot,
+            notes: formData.notes,
+            items
+        });
+
+        if (error) {
+            console.error('Error registrando el pedido:', error);
+            // Los errores de validación de `place_order` ya vienen en español (código P0001)
+            this.contactForm.showErrorMessage(error.code === 'P0001'
+                ? error.message
+                : 'No pudimos registrar tu pedido. Por favor, intenta nuevamente.');
+
+            // El stock pudo cambiar mientras se armaba el pedido
+            if (error.code === 'P0001') {
+                await this.loadProducts({ refresh: true });
+            }
+            return false;
+        }
+
+        this.lastOrderId = data;
+        this.productsContainer.querySelectorAll('.preorder-item').forEach(item => this.setQuantity(item, 0));
+        // El pedido descontó stock
+        await this.loadProducts({ refresh: true });
+
+        return true;
+    }
+
+    /**
+     * Mensaje de confirmación. ContactForm también lo muestra cuando descarta un
+     * envío como spam, sin llamar a `submitOrder`: entonces no hay número de pedido
+     */
+    getSuccessMessage() {
+        const orderId = this.lastOrderId;
+        this.lastOrderId = null;
+
+        return orderId
+            ? `¡Pedido #${orderId} recibido! Te esperamos en la fecha y hora elegidas.`
+            : '¡Gracias! Te confirmaremos tu pedido por correo.';
+    }
+
+    /**
+     * Destruye el formulario de pedidos
+     */
+    destroy() {
+        this.productsContainer.removeEventListener('input', this.handleQuantityInput);
+        this.productsContainer.removeEventListener('click', this.handleQuantityClick);
+        this.contactForm?.destroy();
+    }
+}
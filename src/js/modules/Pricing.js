@@ -0,0 +1,38 @@
+const copFormatter = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  maximumFractionDigits: 0
+});
+
+/**
+ * Formatea un valor en pesos colombianos (por ejemplo, "$ 12.500").
+ * @param {number|string|null} value
+ * @returns {string} El valor formateado, o "—" si no hay valor.
+ */
+export function formatCOP(value) {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  return copFormatter.format(Number(value));
+}
+
+/**
+ * Calcula el margen de un producto. El precio de venta incluye el impuesto,
+ * así que el margen se calcula sobre el precio neto (sin impuesto).
+ * @param {{price: number|null, unit_cost: number|null, tax_rate: number|null}} product
+ * @returns {{netPrice: number, margin: number, marginPercent: number}|null}
+ *   `null` si falta el precio o el costo.
+ */
+export function calculateMargin(product) {
+  if (product.price === null || product.price === undefined ||
+      product.unit_cost === null || product.unit_cost === undefined) {
+    return null;
+  }
+
+  const price = Number(product.price);
+  const netPrice = price / (1 + Number(product.tax_rate || 0) / 100);
+  const margin = netPrice - Number(product.unit_cost);
+  const marginPercent = netPrice > 0 ? (margin / netPrice) * 100 : 0;
+
+  return { netPrice, margin, marginPercent };
+}
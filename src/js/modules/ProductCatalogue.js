@@ -0,0 +1,263 @@
+import { loadCatalogueProducts } from './Orders.js';
+import { formatCOP } from './Pricing.js';
+import { getProductImageUrl } from './ProductImages.js';
+import { normalizeText } from './InventoryFilters.js';
+
+export class ProductCatalogue {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            otherCategoryLabel: 'Otros',
+            // Componentes de la página que deben enterarse de las tarjetas nuevas
+            lazyLoading: null,
+            animationObserver: null,
+            ...options
+        };
+
+        this.searchInput = this.container.querySelector('.catalogue-search');
+        this.listElement = this.container.querySelector('.catalogue-list');
+        this.statusElement = this.container.querySelector('.catalogue-status');
+        this.products = [];
+
+        // Bind methods
+        this.handleSearch = this.handleSearch.bind(this);
+    }
+
+    /**
+     * Inicializa el catálogo
+     */
+    async init() {
+        try {
+            this.searchInput?.addEventListener('input', this.handleSearch);
+
+            await this.loadProducts();
+
+            console.log(`✅ ProductCatalogue inicializado con ${this.products.length} productos`);
+
+        } catch (error) {
+            console.error('Error inicializando ProductCatalogue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Carga los productos del catálogo público (incluye los agotados). La
+     * consulta se comparte con el formulario de pedidos
+     */
+    async loadProducts() {
+        const { data, error } = await loadCatalogueProducts();
+
+        if (error) {
+            console.error('Error cargando el catálogo:', error);
+            this.listElement.replaceChildren();
+            this.showStatus('No pudimos cargar el catálogo. Por favor, intenta más tarde.');
+            return;
+        }
+
+        this.products = data;
+        this.renderProducts();
+        this.filterProducts(this.searchInput?.value);
+    }
+
+    /**
+     * Agrupa los productos por categoría, en el orden en que llegan
+     */
+    groupByCategory(products) {
+        const groups = new Map();
+
+        products.forEach(product => {
+            const category = product.category || this.options.otherCategoryLabel;
+            if (!groups.has(category)) {
+                groups.set(category, []);
+            }
+            groups.get(category).push(product);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Pinta una sección por categoría con las tarjetas de sus productos
+     */
+    renderProducts() {
+        this.unregisterCards();
+        this.listElement.replaceChildren();
+
+        if (this.products.length === 0) {
+            this.showStatus('Pronto publicaremos nuestros productos. 🥖');
+            return;
+        }
+
+        const cards = [];
+
+        this.groupByCategory(this.products).forEach((products, category) => {
+            const group = document.createElement('section');
+            group.className = 'catalogue-group';
+
+            const title = document.createElement('h3');
+            title.className = 'text-xl font-semibold text-gray-800 mb-4';
+            title.textContent = category;
+
+            const grid = document.createElement('div');
+            grid.className = 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 lg:gap-6';
+
+            products.forEach(product => {
+                const card = this.createCard(product);
+                grid.appendChild(card);
+                cards.push(card);
+            });
+
+            group.append(title, grid);
+            this.listElement.appendChild(group);
+        });
+
+        this.registerCards(cards);
+    }
+
+    /**
+     * Crea la tarjeta de un producto
+     */
+    createCard(product) {
+        const isAvailable = product.stock > 0;
+        const card = document.createElement('article');
+        card.className = 'card catalogue-card flex flex-col';
+        card.dataset.animate = 'slideInUp';
+        card.dataset.search = normalizeText(`${product.name} ${product.category || ''}`);
+
+        if (product.image_path) {
+            // `data-src` hace que LazyLoading cargue la imagen al acercarse a la vista
+            const image = document.createElement('img');
+            image.dataset.src = getProductImageUrl(product.image_path, { thumbnail: true });
+            image.alt = product.name;
+            image.className = 'w-full h-40 object-cover bg-gray-100';
+            image.classList.toggle('grayscale', !isAvailable);
+            card.appendChild(image);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'w-full h-40 flex items-center justify-center bg-gray-100 text-5xl';
+            placeholder.setAttribute('aria-hidden', 'true');
+            placeholder.textContent = '🥖';
+            card.appendChild(placeholder);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'p-4 flex flex-col gap-2 flex-1';
+
+        const name = document.createElement('h4');
+        name.className = 'font-semibold text-gray-800';
+        name.textContent = product.name;
+
+        const price = document.createElement('p');
+        price.className = 'text-blue-600 font-bold';
+        price.textContent = product.price !== null ? formatCOP(product.price) : 'Precio en tienda';
+
+        const badge = document.createElement('span');
+        badge.className = isAvailable
+            ? 'self-start mt-auto text-xs font-semibold px-2 py-1 rounded-full bg-green-100 text-green-800'
+            : 'self-start mt-auto text-xs font-semibold px-2 py-1 rounded-full bg-gray-200 text-gray-600';
+        badge.textContent = isAvailable ? 'Disponible hoy' : 'Agotado';
+
+        body.append(name, price, badge);
+        card.appendChild(body);
+
+        return card;
+    }
+
+    /**
+     * Entrega las tarjetas nuevas a LazyLoading y AnimationObserver; sin
+     * ellos, las imágenes se cargan de inmediato y las tarjetas no se animan
+     */
+    registerCards(cards) {
+        const { lazyLoading, animationObserver } = this.options;
+
+        if (lazyLoading?.observer) {
+            lazyLoading.processNewContent(this.listElement);
+        } else {
+            this.listElement.querySelectorAll('img[data-src]').forEach(img => {
+                img.src = img.dataset.src;
+                delete img.dataset.src;
+            });
+        }
+
+        cards.forEach((card, index) => {
+            if (animationObserver) {
+                card.classList.add('fade-in');
+                // Escalonar dentro de cada fila de tarjetas, no en todo el catálogo
+                card.dataset.animationDelay = ((index % 4) * 100).toString();
+                animationObserver.addElement(card);
+            }
+        });
+    }
+
+    /**
+     * Deja de animar las tarjetas que se van a quitar de la página
+     */
+    unregisterCards() {
+        const { animationObserver } = this.options;
+        if (!animationObserver) return;
+
+        this.listElement.querySelectorAll('.catalogue-card').forEach(card => {
+            animationObserver.removeElement(card);
+        });
+    }
+
+    /**
+     * Maneja la búsqueda
+     */
+    handleSearch(event) {
+        this.filterProducts(event.target.value);
+    }
+
+    /**
+     * Muestra solo los productos cuyo nombre o categoría contienen el texto
+     */
+    filterProducts(term = '') {
+        const query = normalizeText(term);
+        let visibleCount = 0;
+
+        this.listElement.querySelectorAll('.catalogue-group').forEach(group => {
+            let groupVisible = 0;
+            group.querySelectorAll('.catalogue-card').forEach(card => {
+                const matches = card.dataset.search.includes(query);
+                // Clase y no atributo `hidden`, que la clase `flex` de la tarjeta anularía
+                card.classList.toggle('hidden', !matches);
+                if (matches) groupVisible++;
+            });
+            group.classList.toggle('hidden', groupVisible === 0);
+            visibleCount += groupVisible;
+        });
+
+        if (this.products.length === 0) return;
+
+        this.showStatus(visibleCount === 0
+            ? `No encontramos productos para "${term.trim()}".`
+            : '');
+    }
+
+    /**
+     * Muestra un mensaje de estado debajo del buscador
+     */
+    showStatus(message) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.hidden = !message;
+    }
+
+    /**
+     * Vuelve a pintar el catálogo con la última consulta compartida; el
+     * formulario de pedidos la renueva después de cada pedido
+     */
+    refresh() {
+        return this.loadProducts();
+    }
+
+    /**
+     * Destruye el catálogo
+     */
+    destroy() {
+        this.searchInput?.removeEventListener('input', this.handleSearch);
+        this.unregisterCards();
+        this.listElement.replaceChildren();
+        this.products = [];
+    }
+}
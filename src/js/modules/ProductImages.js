@@ -0,0 +1,164 @@
+import { supabase } from './supabaseClient.js';
+
+const BUCKET = 'product-images';
+// Tamaño máximo del archivo original que se acepta antes de redimensionar.
+export const MAX_IMAGE_FILE_SIZE = 10 * 1024 * 1024;
+// Lado mayor, en píxeles, de la imagen principal y de la miniatura.
+const IMAGE_MAX_SIZE = 1200;
+const THUMBNAIL_MAX_SIZE = 320;
+const JPEG_QUALITY = 0.82;
+
+/**
+ * Comprueba que el archivo elegido sea una imagen de un tamaño razonable.
+ * @param {File} file
+ * @returns {string|null} El mensaje de error, o `null` si el archivo es válido.
+ */
+export function validateImageFile(file) {
+  if (!file.type.startsWith('image/')) {
+    return 'El archivo debe ser una imagen (JPG, PNG, WebP...).';
+  }
+
+  if (file.size > MAX_IMAGE_FILE_SIZE) {
+    return 'La imagen no puede pesar más de 10 MB.';
+  }
+
+  return null;
+}
+
+/**
+ * Redimensiona y comprime una imagen en el navegador.
+ * @param {Blob} file - La imagen original.
+ * @param {number} maxSize - Lado mayor máximo, en píxeles.
+ * @param {number} [quality] - Calidad JPEG entre 0 y 1.
+ * @returns {Promise<Blob>} La imagen en JPEG.
+ */
+export async function resizeImage(file, maxSize, quality = JPEG_QUALITY) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  // JPEG no tiene transparencia: los PNG transparentes quedan sobre fondo blanco.
+  context.fillStyle = '#FFFFFF';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('No se pudo comprimir la imagen.'))),
+      'image/jpeg',
+      quality
+    );
+  });
+}
+
+/**
+ * Sube (o reemplaza) la imagen de un producto: genera la imagen principal y su
+ * miniatura, las sube, guarda la ruta en el producto y borra la imagen anterior.
+ * @param {{id: number|string, image_path: string|null}} product
+ * @param {File} file
+ * @returns {Promise<{data: Object|null, error: Object|null}>} El producto actualizado.
+ */
+export async function uploadProductImage(product, file) {
+  let image;
+  let thumbnail;
+  try {
+    [image, thumbnail] = await Promise.all([
+      resizeImage(file, IMAGE_MAX_SIZE),
+      resizeImage(file, THUMBNAIL_MAX_SIZE)
+    ]);
+  } catch (error) {
+    return { data: null, error };
+  }
+
+  // Cada subida usa un nombre nuevo, así la caché del navegador nunca muestra la anterior.
+  const imagePath = `${product.id}/${Date.now()}.jpg`;
+  const options = { contentType: 'image/jpeg', cacheControl: '31536000' };
+
+  const uploads = await Promise.all([
+    supabase.storage.from(BUCKET).upload(imagePath, image, options),
+    supabase.storage.from(BUCKET).upload(getThumbnailPath(imagePath), thumbnail, options)
+  ]);
+  const uploadError = uploads.find(result => result.error)?.error;
+  if (uploadError) {
+    await deleteImageFiles([imagePath]);
+    return { data: null, error: uploadError };
+  }
+
+  const { data, error } = await supabase
+    .from('products')
+    .update({ image_path: imagePath })
+    .eq('id', product.id)
+    .select()
+    .single();
+
+  if (error) {
+    await deleteImageFiles([imagePath]);
+    return { data: null, error };
+  }
+
+  if (product.image_path) {
+    await deleteImageFiles([product.image_path]);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Quita la imagen de un producto y borra sus archivos del almacenamiento.
+ * @param {{id: number|string, image_path: string|null}} product
+ * @returns {Promise<{data: Object|null, error: Object|null}>} El producto actualizado.
+ */
+export async function removeProductImage(product) {
+  const { data, error } = await supabase
+    .from('products')
+    .update({ image_path: null })
+    .eq('id', product.id)
+    .select()
+    .single();
+
+  if (!error && product.image_path) {
+    await deleteImageFiles([product.image_path]);
+  }
+
+  return { data, error };
+}
+
+/**
+ * Borra del almacenamiento las imágenes indicadas junto con sus miniaturas.
+ * Un fallo aquí solo deja archivos huérfanos, así que se registra y no se propaga.
+ * @param {Array<string>} imagePaths
+ */
+export async function deleteImageFiles(imagePaths) {
+  const paths = imagePaths.filter(Boolean).flatMap(path => [path, getThumbnailPath(path)]);
+  if (paths.length === 0) return;
+
+  const { error } = await supabase.storage.from(BUCKET).remove(paths);
+  if (error) {
+    console.error('Error al borrar imágenes de productos:', error);
+  }
+}
+
+/**
+ * Obtiene la URL pública de la imagen de un producto.
+ * @param {string} imagePath - La ruta guardada en `products.image_path`.
+ * @param {{thumbnail?: boolean}} [options] - `thumbnail` devuelve la miniatura.
+ * @returns {string}
+ */
+export function getProductImageUrl(imagePath, { thumbnail = false } = {}) {
+  const path = thumbnail ? getThumbnailPath(imagePath) : imagePath;
+  return supabase.storage.from(BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
+/**
+ * Ruta de la miniatura de una imagen (`12/1700000000000.jpg` -> `12/1700000000000-thumb.jpg`).
+ */
+function getThumbnailPath(imagePath) {
+  return imagePath.replace(/\.jpg$/, '-thumb.jpg');
+}
@@ -0,0 +1,189 @@
+import { supabase } from './supabaseClient.js';
+import { normalizeText } from './InventoryFilters.js';
+
+/**
+ * Consulta una página del inventario aplicando en el servidor la búsqueda,
+ * los filtros y el orden.
+ * @param {Object} filters - Filtros creados con `createDefaultFilters`.
+ * @param {number} page - Página a consultar (empieza en 1).
+ * @param {number} pageSize - Productos por página.
+ * @param {string} [columns='*'] - Columnas a seleccionar.
+ * @returns {Promise<{data: Array|null, count: number|null, error: Object|null}>}
+ */
+export async function fetchProductsPage(filters, page, pageSize, columns = '*') {
+  const from = (page - 1) * pageSize;
+  const to = from + pageSize - 1;
+
+  let query = supabase
+    .from('products')
+    .select(columns, { count: 'exact' });
+
+  // Los productos en la papelera nunca forman parte del inventario.
+  query = query.is('deleted_at', null);
+
+  // Los productos archivados solo se muestran si se piden expresamente.
+  if (!filters.includeArchived) {
+    query = query.is('archived_at', null);
+  }
+
+  const searchTerm = normalizeText(filters.searchTerm);
+  if (searchTerm) {
+    query = query.ilike('name_search', `%${escapeLikePattern(searchTerm)}%`);
+  }
+
+  if (filters.categories.size > 0) {
+    query = query.or(buildCategoryFilter(filters.categories));
+  }
+
+  if (filters.minStock !== null) {
+    query = query.gte('stock', filters.minStock);
+  }
+
+  if (filters.maxStock !== null) {
+    query = query.lte('stock', filters.maxStock);
+  }
+
+  const { data, count, error } = await query
+    .order(filters.sortBy, { ascending: filters.sortDirection === 'asc' })
+    .order('id', { ascending: true }) // Desempate estable entre páginas.
+    .range(from, to);
+
+  return { data, count, error };
+}
+
+/**
+ * Consulta todos los productos que cumplen los filtros, recorriendo el
+ * resultado por bloques para no superar el límite de filas de Supabase.
+ * @param {Object} filters - Filtros creados con `createDefaultFilters`.
+ * @param {number} [batchSize=1000] - Productos por consulta.
+ * @param {string} [columns='*'] - Columnas a seleccionar.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchAllProducts(filters, batchSize = 1000, columns = '*') {
+  const products = [];
+  let page = 1;
+
+  while (true) {
+    const { data, count, error } = await fetchProductsPage(filters, page, batchSize, columns);
+    if (error) {
+      return { data: null, error };
+    }
+
+    products.push(...data);
+    if (data.length < batchSize || products.length >= count) {
+      return { data: products, error: null };
+    }
+    page++;
+  }
+}
+
+/**
+ * Busca, entre los nombres dados, los que ya existen en el inventario sin
+ * distinguir mayúsculas ni tildes.
+ * @param {Array<string>} names
+ * @returns {Promise<{data: Set<string>|null, error: Object|null}>} Los nombres
+ *   existentes, normalizados con `normalizeText`.
+ */
+export async function fetchExistingProductNames(names) {
+  const normalizedNames = [...new Set(names.map(normalizeText).filter(Boolean))];
+  const existing = new Set();
+  const chunkSize = 200;
+
+  for (let i = 0; i < normalizedNames.length; i += chunkSize) {
+    const { data, error } = await supabase
+      .from('products')
+      .select('name_search')
+      .in('name_search', normalizedNames.slice(i, i + chunkSize))
+      .is('deleted_at', null);
+
+    if (error) {
+      return { data: null, error };
+    }
+    data.forEach(row => existing.add(row.name_search));
+  }
+
+  return { data: existing, error: null };
+}
+
+/**
+ * Calcula en el servidor la valoración de todos los productos que cumplen los
+ * filtros (no solo los de la página actual).
+ * @param {Object} filters - Filtros creados con `createDefaultFilters`.
+ * @returns {Promise<{data: {product_count: number, total_units: number, total_cost: number,
+ *   total_retail: number, products_without_cost: number}|null, error: Object|null}>}
+ */
+export async function fetchInventoryValuation(filters) {
+  const searchTerm = normalizeText(filters.searchTerm);
+
+  const { data, error } = await supabase.rpc('inventory_valuation', {
+    p_search: searchTerm ? escapeLikePattern(searchTerm) : null,
+    p_categories: filters.categories.size > 0 ? [...filters.categories] : null,
+    p_min_stock: filters.minStock,
+    p_max_stock: filters.maxStock,
+    p_include_archived: filters.includeArchived
+  });
+
+  return { data: data ? data[0] : null, error };
+}
+
+/**
+ * Obtiene las categorías del inventario con su número de productos.
+ * @returns {Promise<{data: Array<{category: string, product_count: number}>|null, error: Object|null}>}
+ */
+export async function fetchProductCategories() {
+  const { data, error } = await supabase
+    .from('product_categories')
+    .select('category, product_count')
+    .order('category', { ascending: true });
+
+  return { data, error };
+}
+
+/**
+ * Genera una clave única para una combinación de filtros y página,
+ * usada por la caché de páginas.
+ * @param {Object} filters
+ * @param {number} page
+ * @returns {string}
+ */
+export function getPageCacheKey(filters, page) {
+  return JSON.stringify({
+    searchTerm: normalizeText(filters.searchTerm),
+    categories: [...filters.categories].sort(),
+    minStock: filters.minStock,
+    maxStock: filters.maxStock,
+    includeArchived: filters.includeArchived,
+    sortBy: filters.sortBy,
+    sortDirection: filters.sortDirection,
+    page
+  });
+}
+
+/**
+ * Construye el filtro `or` de PostgREST para las categorías seleccionadas.
+ * La categoría vacía representa a los productos sin categoría.
+ */
+function buildCategoryFilter(categories) {
+  const named = [...categories].filter(Boolean);
+  const conditions = [];
+
+  if (named.length > 0) {
+    const values = named.map(category => `"${category.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+    conditions.push(`category.in.(${values.join(',')})`);
+  }
+
+  if (categories.has('')) {
+    conditions.push('category.is.null', 'category.eq.');
+  }
+
+  return conditions.join(',');
+}
+
+/**
+ * Escapa los comodines de `ilike` para buscar el texto literal.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
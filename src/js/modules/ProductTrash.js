@@ -0,0 +1,65 @@
+import { supabase } from './supabaseClient.js';
+import { deleteImageFiles } from './ProductImages.js';
+
+/**
+ * Mueve productos a la papelera (borrado lógico).
+ * @param {Array<string|number>} productIds
+ * @returns {Promise<{count: number, error: Object|null}>}
+ */
+export async function softDeleteProducts(productIds) {
+  const { count, error } = await supabase
+    .from('products')
+    .update({ deleted_at: new Date().toISOString() }, { count: 'exact' })
+    .in('id', productIds)
+    .is('deleted_at', null);
+
+  return { count: count ?? 0, error };
+}
+
+/**
+ * Saca productos de la papelera.
+ * @param {Array<string|number>} productIds
+ * @returns {Promise<{count: number, error: Object|null}>}
+ */
+export async function restoreProducts(productIds) {
+  const { count, error } = await supabase
+    .from('products')
+    .update({ deleted_at: null }, { count: 'exact' })
+    .in('id', productIds);
+
+  return { count: count ?? 0, error };
+}
+
+/**
+ * Elimina definitivamente productos que ya están en la papelera, junto con sus imágenes.
+ * @param {Array<string|number>} productIds
+ * @returns {Promise<{count: number, error: Object|null}>}
+ */
+export async function permanentlyDeleteProducts(productIds) {
+  const { data, count, error } = await supabase
+    .from('products')
+    .delete({ count: 'exact' })
+    .in('id', productIds)
+    .not('deleted_at', 'is', null)
+    .select('image_path');
+
+  if (!error) {
+    await deleteImageFiles(data.map(product => product.image_path));
+  }
+
+  return { count: count ?? 0, error };
+}
+
+/**
+ * Obtiene los productos de la papelera, del eliminado más reciente al más antiguo.
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchDeletedProducts() {
+  const { data, error } = await supabase
+    .from('products')
+    .select('*')
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+
+  return { data, error };
+}
@@ -0,0 +1,69 @@
+/**
+ * Valida los datos de un producto antes de guardarlos.
+ * @param {{name: string, category: string, stock: string, minStock?: string, price?: string,
+ *   unitCost?: string, taxRate?: string}} values - Valores crudos (texto) del formulario o de una
+ *   fila importada. Los campos opcionales vacíos se consideran válidos.
+ * @returns {string|null} El mensaje de error, o `null` si los datos son válidos.
+ */
+export function validateProductInput({
+  name,
+  category,
+  stock,
+  minStock = '',
+  price = '',
+  unitCost = '',
+  taxRate = ''
+}) {
+  if (!name) {
+    return 'El nombre es obligatorio.';
+  }
+
+  if (name.length > 100) {
+    return 'El nombre no puede tener más de 100 caracteres.';
+  }
+
+  if (category.length > 50) {
+    return 'La categoría no puede tener más de 50 caracteres.';
+  }
+
+  if (!/^\d+$/.test(stock)) {
+    return 'El stock debe ser un número entero mayor o igual a 0.';
+  }
+
+  if (minStock !== '' && !/^\d+$/.test(minStock)) {
+    return 'El stock mínimo debe ser un número entero mayor o igual a 0.';
+  }
+
+  if (price !== '' && !isMoney(price)) {
+    return 'El precio debe ser un valor mayor o igual a 0 (máximo 2 decimales).';
+  }
+
+  if (unitCost !== '' && !isMoney(unitCost)) {
+    return 'El costo debe ser un valor mayor o igual a 0 (máximo 2 decimales).';
+  }
+
+  if (taxRate !== '' && (!isMoney(taxRate) || parseDecimal(taxRate) > 100)) {
+    return 'El impuesto debe ser un porcentaje entre 0 y 100.';
+  }
+
+  return null;
+}
+
+/**
+ * Convierte un valor decimal escrito con coma o punto ("1250,50" o "1250.50").
+ * @param {string} value
+ * @returns {number|null} El número, o `null` si el texto está vacío.
+ */
+export function parseDecimal(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  return Number(String(value).replace(',', '.'));
+}
+
+/**
+ * Indica si un texto es un valor no negativo con hasta 2 decimales.
+ */
+function isMoney(value) {
+  return /^\d+([.,]\d{1,2})?$/.test(value);
+}
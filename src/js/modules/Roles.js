@@ -0,0 +1,131 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Roles de los usuarios, del que más permisos tiene al que menos.
+ */
+export const ROLES = {
+  admin: { label: 'Administrador', description: 'Todo, incluido el borrado definitivo y los usuarios.' },
+  staff: { label: 'Personal', description: 'Gestiona productos, stock, papelera, categorías, mensajes y pedidos.' },
+  viewer: { label: 'Consulta', description: 'Solo puede ver el inventario.' }
+};
+
+/**
+ * Roles que tienen cada permiso. Debe coincidir con las políticas de
+ * `supabase/migrations/20261019001300_user_roles.sql`.
+ */
+const PERMISSIONS = {
+  'products:create': ['admin', 'staff'],
+  'products:edit': ['admin', 'staff'],
+  'products:delete': ['admin', 'staff'],
+  'products:purge': ['admin'],
+  'stock:move': ['admin', 'staff'],
+  'categories:manage': ['admin', 'staff'],
+  'messages:manage': ['admin', 'staff'],
+  'orders:manage': ['admin', 'staff'],
+  'users:manage': ['admin']
+};
+
+/**
+ * Indica si un rol tiene un permiso.
+ * @param {string|null} role
+ * @param {keyof PERMISSIONS} permission
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Obtiene el perfil (y con él, el rol) del usuario de la sesión.
+ * @returns {Promise<{data: {id: string, email: string, role: string}|null, error: Object|null}>}
+ */
+export async function fetchCurrentProfile() {
+  // `getSession` lee la sesión guardada, sin pedirla al servidor.
+  const { data: { session } } = await supabase.auth.getSession();
+  const user = session?.user;
+  if (!user) {
+    return { data: null, error: new Error('No hay sesión.') };
+  }
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, email, role')
+    .eq('id', user.id)
+    .single();
+
+  return { data, error };
+}
+
+/**
+ * Obtiene todos los perfiles (solo para administradores).
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchProfiles() {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, email, role, created_at')
+    .order('email');
+
+  return { data, error };
+}
+
+/**
+ * Cambia el rol de un usuario.
+ * @param {string} userId
+ * @param {'admin'|'staff'|'viewer'} role
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function updateUserRole(userId, role) {
+  const { error } = await supabase
+    .from('profiles')
+    .update({ role })
+    .eq('id', userId);
+
+  return { error };
+}
+
+/**
+ * Invita a un usuario: guarda el rol que tendrá y le envía un enlace de acceso
+ * por correo. Supabase crea la cuenta al enviar el enlace y en ese momento su
+ * perfil recibe el rol de la invitación. Si el correo ya tiene cuenta (por
+ * ejemplo, alguien que se registró solo), únicamente se le cambia el rol.
+ * @param {string} email
+ * @param {'admin'|'staff'|'viewer'} role
+ * @returns {Promise<{data: {existingUser: boolean}|null, error: Object|null}>}
+ */
+export async function inviteUser(email, role) {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('email', normalizedEmail)
+    .maybeSingle();
+
+  if (profileError) {
+    return { data: null, error: profileError };
+  }
+
+  if (profile) {
+    const { error } = await updateUserRole(profile.id, role);
+    return { data: { existingUser: true }, error };
+  }
+
+  const { error } = await supabase
+    .from('user_invitations')
+    .upsert({ email: normalizedEmail, role });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const { error: emailError } = await supabase.auth.signInWithOtp({
+    email: normalizedEmail,
+    options: {
+      shouldCreateUser: true,
+      emailRedirectTo: `${window.location.origin}/dashboard.html`
+    }
+  });
+
+  return { data: { existingUser: false }, error: emailError };
+}
@@ -0,0 +1,132 @@
+import { supabase } from './supabaseClient.js';
+
+const LOGIN_PAGE = 'login.html';
+const DEFAULT_AFTER_LOGIN = 'dashboard.html';
+// Clave con la que supabase-js guarda la sesión en localStorage (`sb-<proyecto>-auth-token`).
+const AUTH_STORAGE_KEY = /^sb-.+-auth-token$/;
+
+// `true` mientras esta pestaña cierra la sesión a propósito, para no añadir `returnTo`.
+let isSigningOut = false;
+
+/**
+ * Protege una página: si no hay sesión, redirige al login recordando la página
+ * actual en `returnTo`. Mientras la página está abierta, vuelve al login si la
+ * sesión se cierra (aquí, en otra pestaña o porque el token ya no se pudo renovar).
+ * @param {{onSignedOut?: () => void}} [options] - `onSignedOut` se llama antes de redirigir,
+ *   para liberar recursos (por ejemplo, suscripciones en tiempo real).
+ * @returns {Promise<Object|null>} La sesión, o `null` si se está redirigiendo.
+ */
+export async function requireSession({ onSignedOut = () => {} } = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    redirectToLogin();
+    return null;
+  }
+
+  const handleSignedOut = () => {
+    onSignedOut();
+    redirectToLogin();
+  };
+
+  supabase.auth.onAuthStateChange((event) => {
+    if (event === 'SIGNED_OUT') {
+      handleSignedOut();
+    }
+  });
+
+  // Respaldo para navegadores donde supabase-js no avisa entre pestañas:
+  // otra pestaña borró la sesión guardada.
+  window.addEventListener('storage', (e) => {
+    if (e.key && AUTH_STORAGE_KEY.test(e.key) && e.newValue === null) {
+      handleSignedOut();
+    }
+  });
+
+  return session;
+}
+
+/**
+ * Para las páginas de login y registro: si ya hay sesión (o se inicia en otra
+ * pestaña), lleva al usuario a `returnTo` o al dashboard.
+ */
+export async function redirectIfAuthenticated() {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (session) {
+    redirectAfterSignIn();
+    return;
+  }
+
+  supabase.auth.onAuthStateChange((event, newSession) => {
+    if (event === 'SIGNED_IN' && newSession) {
+      redirectAfterSignIn();
+    }
+  });
+}
+
+/**
+ * Redirige a la página guardada en `returnTo`, o al dashboard.
+ */
+export function redirectAfterSignIn() {
+  window.location.replace(getReturnTo());
+}
+
+/**
+ * Cierra la sesión (en todas las pestañas) y vuelve al login.
+ * @returns {Promise<{error: Object|null}>}
+ */
+export async function signOut() {
+  isSigningOut = true;
+  const { error } = await supabase.auth.signOut();
+  window.location.href = LOGIN_PAGE;
+  return { error };
+}
+
+/**
+ * Añade a un enlace el `returnTo` de la página actual, para no perderlo al
+ * pasar del login al registro y viceversa.
+ * @param {string} url
+ * @returns {string}
+ */
+export function withReturnTo(url) {
+  const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+  if (!returnTo) return url;
+
+  const target = new URL(url, window.location.href);
+  target.searchParams.set('returnTo', returnTo);
+  return `${target.pathname.split('/').pop()}${target.search}`;
+}
+
+/**
+ * Lee `returnTo` de la URL. Solo se aceptan rutas del propio sitio, para que
+ * un enlace malicioso no pueda llevar al usuario a otro dominio tras el login.
+ * @returns {string}
+ */
+function getReturnTo() {
+  const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+  if (!returnTo) return DEFAULT_AFTER_LOGIN;
+
+  try {
+    const target = new URL(returnTo, window.location.origin);
+    if (target.origin !== window.location.origin) return DEFAULT_AFTER_LOGIN;
+    return `${target.pathname}${target.search}${target.hash}`;
+  } catch {
+    return DEFAULT_AFTER_LOGIN;
+  }
+}
+
+/**
+ * Lleva al login recordando la página actual, salvo que el usuario haya
+ * cerrado la sesión a propósito.
+ */
+function redirectToLogin() {
+  if (isSigningOut) {
+    window.location.href = LOGIN_PAGE;
+    return;
+  }
+
+  const { pathname, search, hash } = window.location;
+  const returnTo = encodeURIComponent(`${pathname}${search}${hash}`);
+  window.location.replace(`${LOGIN_PAGE}?returnTo=${returnTo}`);
+}
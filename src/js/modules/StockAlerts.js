@@ -0,0 +1,91 @@
+import { supabase } from './supabaseClient.js';
+
+// Mínimo que se aplica cuando ni el producto ni su categoría definen uno.
+export const DEFAULT_MIN_STOCK = 5;
+
+/**
+ * Obtiene los mínimos por defecto de cada categoría.
+ * @returns {Promise<{data: Object|null, error: Object|null}>} Un mapa `categoría -> mínimo`.
+ */
+export async function fetchCategoryThresholds() {
+  const { data, error } = await supabase
+    .from('category_stock_thresholds')
+    .select('category, min_stock');
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const thresholds = Object.fromEntries(data.map(row => [row.category, row.min_stock]));
+  return { data: thresholds, error: null };
+}
+
+/**
+ * Guarda (o elimina, si `minStock` es `null`) el mínimo por defecto de una categoría.
+ * @param {string} category
+ * @param {number|null} minStock
+ * @returns {Promise<Object|null>} El error de Supabase, si lo hubo.
+ */
+export async function saveCategoryThreshold(category, minStock) {
+  if (minStock === null) {
+    const { error } = await supabase
+      .from('category_stock_thresholds')
+      .delete()
+      .eq('category', category);
+    return error;
+  }
+
+  const { error } = await supabase
+    .from('category_stock_thresholds')
+    .upsert({ category, min_stock: minStock, updated_at: new Date().toISOString() });
+  return error;
+}
+
+/**
+ * Calcula el mínimo efectivo de un producto: el suyo, el de su categoría o el global.
+ * @param {Object} product
+ * @param {Object} categoryThresholds - Mapa `categoría -> mínimo`.
+ * @returns {number}
+ */
+export function getMinStock(product, categoryThresholds) {
+  if (product.min_stock !== null && product.min_stock !== undefined) {
+    return product.min_stock;
+  }
+
+  return categoryThresholds[product.category] ?? DEFAULT_MIN_STOCK;
+}
+
+/**
+ * Indica si un producto está por debajo de su mínimo.
+ * @param {Object} product
+ * @param {Object} categoryThresholds
+ * @returns {boolean}
+ */
+export function isLowStock(product, categoryThresholds) {
+  return product.stock < getMinStock(product, categoryThresholds);
+}
+
+/**
+ * Obtiene del servidor los productos que necesitan reposición, del más urgente
+ * al menos urgente.
+ * @returns {Promise<{data: Array<{product: Object, minStock: number, shortfall: number}>|null, error: Object|null}>}
+ */
+export async function fetchRestockList() {
+  const { data, error } = await supabase
+    .from('low_stock_products')
+    .select('*');
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const restockList = data
+    .map(({ effective_min_stock: minStock, ...product }) => ({
+      product,
+      minStock,
+      shortfall: minStock - product.stock
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall);
+
+  return { data: restockList, error: null };
+}
@@ -0,0 +1,74 @@
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Motivos de movimiento de stock y el sentido que admite cada uno.
+ * `direction` es 1 para entradas, -1 para salidas y 0 si admite ambos.
+ */
+export const STOCK_MOVEMENT_REASONS = {
+  production: { label: 'Producción', direction: 1 },
+  sale: { label: 'Venta', direction: -1 },
+  waste: { label: 'Merma', direction: -1 },
+  correction: { label: 'Corrección', direction: 0 }
+};
+
+/**
+ * Registra un movimiento en el libro de stock. El trigger de la base de datos
+ * aplica la cantidad sobre `products.stock`.
+ * @param {{productId: number|string, reason: string, quantity: number, note?: string}} movement
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function recordStockMovement({ productId, reason, quantity, note = '' }) {
+  const { data: { user } } = await supabase.auth.getUser();
+
+  const { data, error } = await supabase
+    .from('stock_movements')
+    .insert([{
+      product_id: productId,
+      reason,
+      quantity,
+      note: note || null,
+      user_id: user?.id,
+      user_email: user?.email
+    }])
+    .select()
+    .single();
+
+  return { data, error };
+}
+
+/**
+ * Obtiene el historial de movimientos de un producto, del más reciente al más antiguo.
+ * @param {number|string} productId
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function fetchStockMovements(productId) {
+  const { data, error } = await supabase
+    .from('stock_movements')
+    .select('*')
+    .eq('product_id', productId)
+    .order('created_at', { ascending: false });
+
+  return { data, error };
+}
+
+/**
+ * Recalcula el stock de un producto a partir de la suma de sus movimientos.
+ * @param {number|string} productId
+ * @returns {Promise<{data: number|null, error: Object|null}>}
+ */
+export async function reconcileProductStock(productId) {
+  const { data, error } = await supabase.rpc('reconcile_product_stock', {
+    p_product_id: productId
+  });
+
+  return { data, error };
+}
+
+/**
+ * Suma las cantidades de una lista de movimientos.
+ * @param {Array} movements
+ * @returns {number}
+ */
+export function sumStockMovements(movements) {
+  return movements.reduce((total, movement) => total + movement.quantity, 0);
+}
@@ -0,0 +1,178 @@
+/**
+ * Gráficos SVG sencillos y sin dependencias para el dashboard. Cada función
+ * devuelve el marcado del gráfico como texto, listo para `innerHTML`; el SVG
+ * usa `viewBox`, así que se adapta al ancho de su contenedor.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 600;
+const FONT_SIZE = 12;
+
+/**
+ * Gráfico de barras horizontales, útil para etiquetas largas (categorías).
+ * @param {Array<{label: string, value: number}>} items
+ * @param {{title: string, color?: string, formatValue?: (value: number) => string}} options
+ * @returns {string}
+ */
+export function createHorizontalBarChart(items, { title, color = '#8D6E63', formatValue = String }) {
+  if (items.length === 0) {
+    return createEmptyChart(title);
+  }
+
+  const barHeight = 22;
+  const gap = 8;
+  const labelWidth = 150;
+  const valueWidth = 60;
+  const height = items.length * (barHeight + gap);
+  const maxValue = Math.max(...items.map(item => item.value), 1);
+  const scale = (WIDTH - labelWidth - valueWidth) / maxValue;
+
+  const bars = items.map((item, index) => {
+    const y = index * (barHeight + gap);
+    const barWidth = Math.max(item.value * scale, item.value > 0 ? 2 : 0);
+    return `
+      <g>
+        <title>${escapeXml(item.label)}: ${escapeXml(formatValue(item.value))}</title>
+        <text x="${labelWidth - 8}" y="${y + barHeight / 2}" text-anchor="end" dominant-baseline="middle">
+          ${escapeXml(truncate(item.label, 20))}
+        </text>
+        <rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${color}"></rect>
+        <text x="${labelWidth + barWidth + 6}" y="${y + barHeight / 2}" dominant-baseline="middle">
+          ${escapeXml(formatValue(item.value))}
+        </text>
+      </g>
+    `;
+  }).join('');
+
+  return wrapSvg(title, height, bars);
+}
+
+/**
+ * Gráfico de columnas, para series en el tiempo con pocas etiquetas (meses).
+ * @param {Array<{label: string, value: number}>} items
+ * @param {{title: string, color?: string}} options
+ * @returns {string}
+ */
+export function createColumnChart(items, { title, color = '#8D6E63' }) {
+  if (items.length === 0) {
+    return createEmptyChart(title);
+  }
+
+  const chartHeight = 180;
+  const labelHeight = 24;
+  const step = WIDTH / items.length;
+  const columnWidth = step * 0.6;
+  const maxValue = Math.max(...items.map(item => item.value), 1);
+
+  const columns = items.map((item, index) => {
+    const columnHeight = (item.value / maxValue) * (chartHeight - FONT_SIZE * 2);
+    const x = index * step + (step - columnWidth) / 2;
+    const y = chartHeight - columnHeight;
+    return `
+      <g>
+        <title>${escapeXml(item.label)}: ${item.value}</title>
+        <rect x="${x}" y="${y}" width="${columnWidth}" height="${columnHeight}" rx="3" fill="${color}"></rect>
+        ${item.value > 0 ? `<text x="${x + columnWidth / 2}" y="${y - 4}" text-anchor="middle">${item.value}</text>` : ''}
+        <text x="${x + columnWidth / 2}" y="${chartHeight + labelHeight - 6}" text-anchor="middle">
+          ${escapeXml(item.label)}
+        </text>
+      </g>
+    `;
+  }).join('');
+
+  return wrapSvg(title, chartHeight + labelHeight, `
+    ${columns}
+    <line x1="0" y1="${chartHeight}" x2="${WIDTH}" y2="${chartHeight}" class="chart-axis"></line>
+  `);
+}
+
+/**
+ * Gráfico de líneas con una o varias series sobre las mismas etiquetas.
+ * @param {Array<string>} labels - Etiquetas del eje X (por ejemplo, días).
+ * @param {Array<{name: string, color: string, values: Array<number>}>} series
+ * @param {{title: string, labelEvery?: number}} options - `labelEvery` muestra una
+ *   de cada N etiquetas para que no se amontonen.
+ * @returns {string}
+ */
+export function createLineChart(labels, series, { title, labelEvery = 1 }) {
+  if (labels.length === 0) {
+    return createEmptyChart(title);
+  }
+
+  const chartHeight = 180;
+  const labelHeight = 24;
+  const legendHeight = 24;
+  const padding = 10;
+  const maxValue = Math.max(...series.flatMap(line => line.values), 1);
+  const xFor = index => padding + (index * (WIDTH - padding * 2)) / Math.max(labels.length - 1, 1);
+  const yFor = value => legendHeight + chartHeight - (value / maxValue) * (chartHeight - padding);
+
+  const legend = series.map((line, index) => `
+    <g transform="translate(${index * 140}, 0)">
+      <rect width="12" height="12" rx="2" fill="${line.color}"></rect>
+      <text x="18" y="10">${escapeXml(line.name)}</text>
+    </g>
+  `).join('');
+
+  const lines = series.map(line => `
+    <polyline fill="none" stroke="${line.color}" stroke-width="2"
+      points="${line.values.map((value, index) => `${xFor(index)},${yFor(value)}`).join(' ')}"></polyline>
+    ${line.values.map((value, index) => `
+      <circle cx="${xFor(index)}" cy="${yFor(value)}" r="3" fill="${line.color}">
+        <title>${escapeXml(labels[index])} · ${escapeXml(line.name)}: ${value}</title>
+      </circle>
+    `).join('')}
+  `).join('');
+
+  const xLabels = labels
+    .map((label, index) => (index % labelEvery === 0
+      ? `<text x="${xFor(index)}" y="${legendHeight + chartHeight + labelHeight - 6}" text-anchor="middle">${escapeXml(label)}</text>`
+      : ''))
+    .join('');
+
+  return wrapSvg(title, legendHeight + chartHeight + labelHeight, `
+    ${legend}
+    <line x1="0" y1="${legendHeight + chartHeight}" x2="${WIDTH}" y2="${legendHeight + chartHeight}" class="chart-axis"></line>
+    ${lines}
+    ${xLabels}
+  `);
+}
+
+/**
+ * Mensaje para un gráfico sin datos.
+ */
+function createEmptyChart(title) {
+  return `<p class="chart-empty">${escapeXml(title)}: aún no hay datos.</p>`;
+}
+
+/**
+ * Envuelve el contenido en un `<svg>` accesible con el título del gráfico.
+ */
+function wrapSvg(title, height, content) {
+  // Margen para que no se corten las etiquetas de los bordes.
+  return `
+    <svg xmlns="${SVG_NS}" class="chart" viewBox="-10 -10 ${WIDTH + 20} ${height + 20}"
+      role="img" aria-label="${escapeXml(title)}" font-size="${FONT_SIZE}">
+      <title>${escapeXml(title)}</title>
+      ${content}
+    </svg>
+  `;
+}
+
+/**
+ * Acorta un texto largo añadiendo puntos suspensivos.
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Escapa los caracteres especiales de XML.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,14 +1,64 @@
 import { signUp } from './modules/Auth.js';
+import { redirectIfAuthenticated, withReturnTo } from './modules/Session.js';
+import { getAuthErrorMessage, isValidEmail } from './modules/AuthErrors.js';
+import { updateStrengthMeter } from './modules/PasswordStrength.js';
+
+// Un usuario con sesión abierta no necesita registrarse.
+redirectIfAuthenticated();
 
 document.addEventListener('DOMContentLoaded', () => {
+  // El enlace al login conserva la página a la que volver tras entrar.
+  const loginLink = document.querySelector('a[href="login.html"]');
+  if (loginLink) {
+    loginLink.href = withReturnTo('login.html');
+  }
+
   const signupForm = document.getElementById('signup-form');
   if (signupForm) {
+    const signupMessage = document.getElementById('signup-message');
+    const passwordInput = document.getElementById('signup-password');
+    const strengthMeter = signupForm.querySelector('.password-strength');
+    const submitButton = signupForm.querySelector('button[type="submit"]');
+
+    passwordInput.addEventListener('input', () => {
+      updateStrengthMeter(strengthMeter, passwordInput.value);
+    });
+
     signupForm.addEventListener('submit', async (e) => {
       e.preventDefault();
-      const email = document.getElementById('signup-email').value;
-      const password = document.getElementById('signup-password').value;
+      const email = document.getElementById('signup-email').value.trim();
+      const password = passwordInput.value;
+      const confirmation = document.getElementById('signup-password-confirm').value;
+
+      if (!isValidEmail(email)) {
+        signupMessage.textContent = 'Escribe un correo válido.';
+        return;
+      }
+
+      const strength = updateStrengthMeter(strengthMeter, password);
+      if (!strength.isValid) {
+        signupMessage.textContent = `La contraseña necesita: ${strength.missing.join(', ').toLowerCase()}.`;
+        return;
+      }
+
+      if (password !== confirmation) {
+        signupMessage.textContent = 'Las contraseñas no coinciden.';
+        return;
+      }
+
+      submitButton.disabled = true;
+      signupMessage.textContent = 'Creando la cuenta...';
       const error = await signUp(email, password);
-      document.getElementById('signup-message').textContent = error ? error.message : '¡Registro exitoso! Revisa tu correo.';
+      submitButton.disabled = false;
+
+      if (error) {
+        signupMessage.textContent = getAuthErrorMessage(error);
+        return;
+      }
+
+      signupForm.reset();
+      updateStrengthMeter(strengthMeter, '');
+      signupMessage.textContent = '¡Registro exitoso! Revisa tu correo.';
     });
   }
 });
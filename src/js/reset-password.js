@@ -0,0 +1,83 @@
+import { supabase } from './modules/supabaseClient.js';
+import { updatePassword } from './modules/Auth.js';
+import { getAuthErrorMessage } from './modules/AuthErrors.js';
+import { updateStrengthMeter } from './modules/PasswordStrength.js';
+
+// Si el enlace no abre una sesión en este tiempo, lo damos por inválido.
+const RECOVERY_TIMEOUT = 5000;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const resetForm = document.getElementById('reset-password-form');
+  const resetMessage = document.getElementById('reset-message');
+  const newPasswordInput = document.getElementById('new-password');
+  const confirmPasswordInput = document.getElementById('confirm-password');
+  const strengthMeter = resetForm.querySelector('.password-strength');
+
+  const showForm = () => {
+    clearTimeout(invalidLinkTimer);
+    resetForm.hidden = false;
+    resetMessage.textContent = '';
+    resetMessage.hidden = true;
+  };
+
+  const showInvalidLink = (description) => {
+    resetForm.hidden = true;
+    resetMessage.hidden = false;
+    // La descripción viene de la URL, así que se inserta como texto.
+    resetMessage.textContent = description || 'El enlace no es válido o ya expiró.';
+    resetMessage.insertAdjacentHTML('beforeend',
+      '<br><a href="login.html" class="auth-link">Solicita uno nuevo desde el inicio de sesión</a>');
+  };
+
+  // Supabase indica en el hash los enlaces caducados o ya usados.
+  const hashParams = new URLSearchParams(window.location.hash.slice(1));
+  if (hashParams.get('error')) {
+    showInvalidLink(hashParams.get('error_code') === 'otp_expired'
+      ? 'El enlace ya expiró o ya se usó.'
+      : hashParams.get('error_description'));
+    return;
+  }
+
+  // supabase-js lee el token del enlace y abre una sesión de recuperación.
+  const invalidLinkTimer = setTimeout(() => showInvalidLink(), RECOVERY_TIMEOUT);
+  supabase.auth.onAuthStateChange((event, session) => {
+    if (event === 'PASSWORD_RECOVERY' || (event === 'INITIAL_SESSION' && session)) {
+      showForm();
+    }
+  });
+
+  newPasswordInput.addEventListener('input', () => {
+    updateStrengthMeter(strengthMeter, newPasswordInput.value);
+  });
+
+  resetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = newPasswordInput.value;
+    const strength = updateStrengthMeter(strengthMeter, password);
+
+    resetMessage.hidden = false;
+    if (!strength.isValid) {
+      resetMessage.textContent = `La contraseña necesita: ${strength.missing.join(', ').toLowerCase()}.`;
+      return;
+    }
+
+    if (password !== confirmPasswordInput.value) {
+      resetMessage.textContent = 'Las contraseñas no coinciden.';
+      return;
+    }
+
+    const submitButton = resetForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    resetMessage.textContent = 'Guardando...';
+
+    const error = await updatePassword(password);
+    if (error) {
+      submitButton.disabled = false;
+      resetMessage.textContent = getAuthErrorMessage(error);
+      return;
+    }
+
+    resetMessage.textContent = '¡Contraseña actualizada! Entrando al dashboard...';
+    window.location.replace('dashboard.html');
+  });
+});
@@ -0,0 +1,81 @@
+-- -----------------------------------------------------------------------------
+-- Libro de movimientos de stock.
+-- Cada cambio de stock (producción, venta, merma o corrección) queda registrado
+-- como una fila. `products.stock` se mantiene sincronizado mediante un trigger y
+-- puede reconciliarse en cualquier momento con `reconcile_product_stock`.
+-- -----------------------------------------------------------------------------
+
+create table if not exists public.stock_movements (
+  id bigint generated always as identity primary key,
+  product_id bigint not null references public.products (id) on delete cascade,
+  reason text not null check (reason in ('production', 'sale', 'waste', 'correction')),
+  -- Positivo para entradas, negativo para salidas.
+  quantity integer not null check (quantity <> 0),
+  note text,
+  user_id uuid default auth.uid() references auth.users (id),
+  user_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_product_id_created_at_idx
+  on public.stock_movements (product_id, created_at desc);
+
+-- Saldo inicial: registramos el stock actual de cada producto como una
+-- corrección para que el libro y la tabla `products` coincidan desde el inicio.
+insert into public.stock_movements (product_id, reason, quantity, note, user_id)
+select id, 'correction', stock, 'Saldo inicial', null
+from public.products
+where stock <> 0;
+
+-- Aplica cada movimiento sobre el stock del producto y evita stock negativo.
+create or replace function public.apply_stock_movement()
+returns trigger
+language plpgsql
+as $$
+declare
+  new_stock integer;
+begin
+  update public.products
+    set stock = stock + new.quantity
+    where id = new.product_id
+    returning stock into new_stock;
+
+  if new_stock < 0 then
+    raise exception 'El stock del producto % no puede quedar negativo', new.product_id
+      using errcode = 'check_violation';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_movements_apply on public.stock_movements;
+create trigger stock_movements_apply
+  after insert on public.stock_movements
+  for each row execute function public.apply_stock_movement();
+
+-- Recalcula el stock de un producto a partir de su libro de movimientos.
+create or replace function public.reconcile_product_stock(p_product_id bigint)
+returns integer
+language sql
+as $$
+  update public.products
+    set stock = coalesce(
+      (select sum(quantity) from public.stock_movements where product_id = p_product_id),
+      0
+    )
+    where id = p_product_id
+    returning stock;
+$$;
+
+alter table public.stock_movements enable row level security;
+
+create policy "Usuarios autenticados leen movimientos"
+  on public.stock_movements for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados registran movimientos"
+  on public.stock_movements for insert
+  to authenticated
+  with check (user_id = auth.uid());
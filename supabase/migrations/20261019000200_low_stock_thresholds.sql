@@ -0,0 +1,27 @@
+-- -----------------------------------------------------------------------------
+-- Umbrales de stock mínimo.
+-- Cada producto puede tener su propio mínimo; si no lo tiene, se usa el mínimo
+-- por defecto de su categoría.
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists min_stock integer check (min_stock >= 0);
+
+create table if not exists public.category_stock_thresholds (
+  category text primary key,
+  min_stock integer not null check (min_stock >= 0),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.category_stock_thresholds enable row level security;
+
+create policy "Usuarios autenticados leen umbrales"
+  on public.category_stock_thresholds for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados gestionan umbrales"
+  on public.category_stock_thresholds for all
+  to authenticated
+  using (true)
+  with check (true);
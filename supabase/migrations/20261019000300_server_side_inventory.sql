@@ -0,0 +1,51 @@
+-- -----------------------------------------------------------------------------
+-- Búsqueda, filtros y paginación del inventario en el servidor.
+-- -----------------------------------------------------------------------------
+
+create extension if not exists unaccent with schema extensions;
+create extension if not exists pg_trgm with schema extensions;
+
+-- `unaccent` no es inmutable, así que la envolvemos para poder usarla en una
+-- columna generada.
+create or replace function public.immutable_unaccent(value text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select extensions.unaccent('extensions.unaccent'::regdictionary, value);
+$$;
+
+-- Nombre normalizado (sin tildes y en minúsculas) para buscar con `ilike`:
+-- "pan" encuentra "Pán de bono".
+alter table public.products
+  add column if not exists name_search text
+  generated always as (lower(public.immutable_unaccent(name))) stored;
+
+create index if not exists products_name_search_trgm_idx
+  on public.products using gin (name_search extensions.gin_trgm_ops);
+
+create index if not exists products_created_at_idx
+  on public.products (created_at desc);
+
+-- Categorías existentes con su número de productos, para el panel de filtros.
+create or replace view public.product_categories
+with (security_invoker = true) as
+select coalesce(category, '') as category, count(*)::integer as product_count
+from public.products
+group by coalesce(category, '');
+
+-- Productos por debajo de su mínimo efectivo (el suyo, el de su categoría o 5,
+-- que debe coincidir con `DEFAULT_MIN_STOCK` en StockAlerts.js).
+create or replace view public.low_stock_products
+with (security_invoker = true) as
+select
+  p.id,
+  p.name,
+  p.category,
+  p.stock,
+  p.min_stock,
+  coalesce(p.min_stock, t.min_stock, 5) as effective_min_stock
+from public.products p
+left join public.category_stock_thresholds t on t.category = p.category
+where p.stock < coalesce(p.min_stock, t.min_stock, 5);
@@ -0,0 +1,6 @@
+-- -----------------------------------------------------------------------------
+-- Sincronización en tiempo real del inventario entre dashboards abiertos.
+-- -----------------------------------------------------------------------------
+
+-- Publica los cambios de `products` por Supabase Realtime.
+alter publication supabase_realtime add table public.products;
@@ -0,0 +1,27 @@
+-- -----------------------------------------------------------------------------
+-- Productos archivados.
+-- Un producto archivado sigue existiendo (con su historial), pero deja de
+-- aparecer en el inventario salvo que se pida expresamente.
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists archived_at timestamptz;
+
+create index if not exists products_active_created_at_idx
+  on public.products (created_at desc)
+  where archived_at is null;
+
+-- Los archivados no cuentan para las alertas de reposición.
+create or replace view public.low_stock_products
+with (security_invoker = true) as
+select
+  p.id,
+  p.name,
+  p.category,
+  p.stock,
+  p.min_stock,
+  coalesce(p.min_stock, t.min_stock, 5) as effective_min_stock
+from public.products p
+left join public.category_stock_thresholds t on t.category = p.category
+where p.archived_at is null
+  and p.stock < coalesce(p.min_stock, t.min_stock, 5);
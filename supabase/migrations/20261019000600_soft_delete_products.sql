@@ -0,0 +1,35 @@
+-- -----------------------------------------------------------------------------
+-- Papelera de productos (borrado lógico).
+-- Eliminar un producto desde el dashboard solo marca `deleted_at`; el borrado
+-- definitivo se hace desde la papelera.
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists products_deleted_at_idx
+  on public.products (deleted_at desc)
+  where deleted_at is not null;
+
+-- Los productos en la papelera no cuentan en las categorías ni en las alertas.
+create or replace view public.product_categories
+with (security_invoker = true) as
+select coalesce(category, '') as category, count(*)::integer as product_count
+from public.products
+where deleted_at is null
+group by coalesce(category, '');
+
+create or replace view public.low_stock_products
+with (security_invoker = true) as
+select
+  p.id,
+  p.name,
+  p.category,
+  p.stock,
+  p.min_stock,
+  coalesce(p.min_stock, t.min_stock, 5) as effective_min_stock
+from public.products p
+left join public.category_stock_thresholds t on t.category = p.category
+where p.archived_at is null
+  and p.deleted_at is null
+  and p.stock < coalesce(p.min_stock, t.min_stock, 5);
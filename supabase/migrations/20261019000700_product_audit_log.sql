@@ -0,0 +1,96 @@
+-- -----------------------------------------------------------------------------
+-- Auditoría del inventario.
+-- Cada alta, cambio, envío a la papelera, restauración o borrado definitivo de
+-- un producto queda registrado con el usuario de la sesión y los valores antes
+-- y después del cambio. Lo escribe un trigger, así que no depende del cliente.
+-- -----------------------------------------------------------------------------
+
+create table if not exists public.product_audit_log (
+  id bigint generated always as identity primary key,
+  -- Sin clave foránea: el registro debe sobrevivir al borrado definitivo.
+  product_id bigint not null,
+  product_name text,
+  action text not null check (action in ('create', 'update', 'delete', 'restore', 'purge')),
+  old_values jsonb,
+  new_values jsonb,
+  changed_fields text[] not null default '{}',
+  user_id uuid default auth.uid(),
+  user_email text default (auth.jwt() ->> 'email'),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_audit_log_created_at_idx
+  on public.product_audit_log (created_at desc);
+create index if not exists product_audit_log_product_id_idx
+  on public.product_audit_log (product_id, created_at desc);
+create index if not exists product_audit_log_user_email_idx
+  on public.product_audit_log (user_email, created_at desc);
+
+create or replace function public.log_product_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_json jsonb := case when tg_op = 'INSERT' then null else to_jsonb(old) - 'name_search' end;
+  new_json jsonb := case when tg_op = 'DELETE' then null else to_jsonb(new) - 'name_search' end;
+  audit_action text;
+  fields text[];
+begin
+  if tg_op = 'INSERT' then
+    audit_action := 'create';
+  elsif tg_op = 'DELETE' then
+    audit_action := 'purge';
+  elsif old.deleted_at is null and new.deleted_at is not null then
+    audit_action := 'delete';
+  elsif old.deleted_at is not null and new.deleted_at is null then
+    audit_action := 'restore';
+  else
+    audit_action := 'update';
+  end if;
+
+  select coalesce(array_agg(key order by key), '{}')
+    into fields
+    from jsonb_object_keys(coalesce(new_json, '{}') || coalesce(old_json, '{}')) as key
+    where (old_json -> key) is distinct from (new_json -> key);
+
+  -- Una actualización que no cambia nada no se registra.
+  if audit_action = 'update' and cardinality(fields) = 0 then
+    return new;
+  end if;
+
+  insert into public.product_audit_log (
+    product_id, product_name, action, old_values, new_values, changed_fields
+  ) values (
+    coalesce(new.id, old.id),
+    coalesce(new.name, old.name),
+    audit_action,
+    old_json,
+    new_json,
+    fields
+  );
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists products_audit on public.products;
+create trigger products_audit
+  after insert or update or delete on public.products
+  for each row execute function public.log_product_change();
+
+-- Usuarios que aparecen en la auditoría, para el filtro del dashboard.
+create or replace view public.product_audit_users
+with (security_invoker = true) as
+select distinct user_email
+from public.product_audit_log
+where user_email is not null;
+
+-- El registro es de solo lectura para los usuarios: solo el trigger escribe.
+alter table public.product_audit_log enable row level security;
+
+create policy "Usuarios autenticados leen la auditoría"
+  on public.product_audit_log for select
+  to authenticated
+  using (true);
@@ -0,0 +1,44 @@
+-- -----------------------------------------------------------------------------
+-- Precios, costos e impuestos de los productos.
+-- `price` es el precio de venta al público con impuesto incluido, `unit_cost`
+-- el costo por unidad y `tax_rate` el porcentaje de impuesto (por ejemplo 19).
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists price numeric(12, 2) check (price >= 0),
+  add column if not exists unit_cost numeric(12, 2) check (unit_cost >= 0),
+  add column if not exists tax_rate numeric(5, 2) not null default 0 check (tax_rate >= 0 and tax_rate <= 100);
+
+-- Valoración del inventario (unidades × costo) con los mismos filtros que la
+-- lista del dashboard (ver `fetchProductsPage` en ProductQueries.js).
+create or replace function public.inventory_valuation(
+  p_search text default null,
+  p_categories text[] default null,
+  p_min_stock integer default null,
+  p_max_stock integer default null,
+  p_include_archived boolean default false
+)
+returns table (
+  product_count bigint,
+  total_units bigint,
+  total_cost numeric,
+  total_retail numeric,
+  products_without_cost bigint
+)
+language sql
+stable
+as $$
+  select
+    count(*),
+    coalesce(sum(stock), 0),
+    coalesce(sum(stock * unit_cost), 0),
+    coalesce(sum(stock * price), 0),
+    count(*) filter (where unit_cost is null)
+  from public.products
+  where deleted_at is null
+    and (p_include_archived or archived_at is null)
+    and (p_search is null or name_search like '%' || p_search || '%')
+    and (p_categories is null or coalesce(category, '') = any (p_categories))
+    and (p_min_stock is null or stock >= p_min_stock)
+    and (p_max_stock is null or stock <= p_max_stock);
+$$;
@@ -0,0 +1,30 @@
+-- -----------------------------------------------------------------------------
+-- Imágenes de los productos.
+-- Las imágenes se guardan en el bucket público `product-images`, en la carpeta
+-- `<id del producto>/`, con una miniatura `-thumb` junto a cada imagen. El
+-- producto guarda la ruta de la imagen principal.
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists image_path text;
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('product-images', 'product-images', true, 2097152, array['image/jpeg'])
+on conflict (id) do nothing;
+
+-- Cualquiera puede ver las imágenes (el bucket es público); solo los usuarios
+-- autenticados pueden subirlas, reemplazarlas o borrarlas.
+create policy "Usuarios autenticados suben imágenes de productos"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'product-images');
+
+create policy "Usuarios autenticados actualizan imágenes de productos"
+  on storage.objects for update
+  to authenticated
+  using (bucket_id = 'product-images');
+
+create policy "Usuarios autenticados borran imágenes de productos"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'product-images');
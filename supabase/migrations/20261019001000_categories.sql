@@ -0,0 +1,95 @@
+-- -----------------------------------------------------------------------------
+-- Categorías administradas.
+-- Las categorías dejan de ser texto libre: `products.category` y los mínimos por
+-- categoría apuntan a `categories.name`. Renombrar una categoría actualiza sus
+-- productos en cascada y eliminarla deja sus productos sin categoría.
+-- -----------------------------------------------------------------------------
+
+create table if not exists public.categories (
+  id bigint generated always as identity primary key,
+  name text not null unique check (name = trim(name) and length(name) between 1 and 50),
+  created_at timestamptz not null default now()
+);
+
+-- Limpieza previa: espacios sobrantes y categorías vacías pasan a `null`.
+update public.products
+set category = nullif(trim(category), '')
+where category is distinct from nullif(trim(category), '');
+
+-- Se crean las categorías que ya se usan. Los duplicados por mayúsculas o
+-- plurales ("Pan", "pan", "Panes") se fusionan después desde el dashboard.
+insert into public.categories (name)
+select category from public.products where category is not null
+union
+select category from public.category_stock_thresholds
+on conflict (name) do nothing;
+
+alter table public.products
+  add constraint products_category_fkey
+  foreign key (category) references public.categories (name)
+  on update cascade on delete set null;
+
+alter table public.category_stock_thresholds
+  add constraint category_stock_thresholds_category_fkey
+  foreign key (category) references public.categories (name)
+  on update cascade on delete cascade;
+
+-- Fusiona una categoría en otra: mueve sus productos (también los de la
+-- papelera), conserva el mínimo de la categoría destino si ya tenía uno y
+-- elimina la categoría de origen. Devuelve el número de productos movidos.
+create or replace function public.merge_categories(p_source text, p_target text)
+returns integer
+language plpgsql
+as $$
+declare
+  moved integer;
+begin
+  if p_source = p_target then
+    raise exception 'No se puede fusionar una categoría consigo misma.';
+  end if;
+
+  if not exists (select 1 from public.categories where name = p_target) then
+    raise exception 'La categoría destino "%" no existe.', p_target;
+  end if;
+
+  update public.products set category = p_target where category = p_source;
+  get diagnostics moved = row_count;
+
+  insert into public.category_stock_thresholds (category, min_stock)
+  select p_target, min_stock
+  from public.category_stock_thresholds
+  where category = p_source
+  on conflict (category) do nothing;
+
+  delete from public.categories where name = p_source;
+
+  return moved;
+end;
+$$;
+
+-- Todas las categorías con su número de productos (incluidas las vacías), más
+-- el grupo "Sin categoría" (`''`) cuando hay productos sin categoría.
+create or replace view public.product_categories
+with (security_invoker = true) as
+select c.name as category, count(p.id)::integer as product_count
+from public.categories c
+left join public.products p on p.category = c.name and p.deleted_at is null
+group by c.name
+union all
+select '' as category, count(*)::integer as product_count
+from public.products
+where category is null and deleted_at is null
+having count(*) > 0;
+
+alter table public.categories enable row level security;
+
+create policy "Usuarios autenticados leen categorías"
+  on public.categories for select
+  to authenticated
+  using (true);
+
+create policy "Usuarios autenticados gestionan categorías"
+  on public.categories for all
+  to authenticated
+  using (true)
+  with check (true);
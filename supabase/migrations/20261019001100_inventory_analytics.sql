@@ -0,0 +1,41 @@
+-- -----------------------------------------------------------------------------
+-- Vistas de analítica del inventario.
+-- Agregan en el servidor los datos de los gráficos del dashboard. Solo cuentan
+-- los productos activos (ni archivados ni en la papelera). Las fechas se agrupan
+-- en la hora de Colombia.
+-- -----------------------------------------------------------------------------
+
+-- Stock total y productos con stock bajo por categoría (`''` = sin categoría).
+create or replace view public.inventory_stock_by_category
+with (security_invoker = true) as
+select
+  coalesce(p.category, '') as category,
+  count(*)::integer as product_count,
+  coalesce(sum(p.stock), 0)::integer as total_stock,
+  (count(*) filter (where p.stock < coalesce(p.min_stock, t.min_stock, 5)))::integer as low_stock_count
+from public.products p
+left join public.category_stock_thresholds t on t.category = p.category
+where p.archived_at is null
+  and p.deleted_at is null
+group by coalesce(p.category, '');
+
+-- Productos agregados por mes, según `created_at`.
+create or replace view public.inventory_products_by_month
+with (security_invoker = true) as
+select
+  date_trunc('month', created_at at time zone 'America/Bogota')::date as month,
+  count(*)::integer as product_count
+from public.products
+where deleted_at is null
+group by 1;
+
+-- Entradas y salidas de stock por día y motivo.
+create or replace view public.stock_movements_by_day
+with (security_invoker = true) as
+select
+  (created_at at time zone 'America/Bogota')::date as day,
+  reason,
+  coalesce(sum(quantity) filter (where quantity > 0), 0)::integer as units_in,
+  coalesce(-sum(quantity) filter (where quantity < 0), 0)::integer as units_out
+from public.stock_movements
+group by 1, 2;
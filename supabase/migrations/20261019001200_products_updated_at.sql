@@ -0,0 +1,24 @@
+-- -----------------------------------------------------------------------------
+-- Fecha de última modificación de los productos.
+-- El dashboard la usa para detectar conflictos al sincronizar cambios hechos
+-- sin conexión: si el producto cambió desde otro equipo, el cambio no se aplica
+-- a ciegas.
+-- -----------------------------------------------------------------------------
+
+alter table public.products
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists products_set_updated_at on public.products;
+create trigger products_set_updated_at
+  before update on public.products
+  for each row execute function public.set_updated_at();
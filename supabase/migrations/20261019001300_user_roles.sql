@@ -0,0 +1,194 @@
+-- -----------------------------------------------------------------------------
+-- Roles de los usuarios del dashboard.
+--   admin:  todo, incluido el borrado definitivo y la gestión de usuarios.
+--   staff:  gestiona el inventario (altas, cambios, stock, papelera, categorías).
+--   viewer: solo consulta.
+-- Los permisos del dashboard (Roles.js) deben coincidir con estas políticas.
+-- -----------------------------------------------------------------------------
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text not null,
+  role text not null default 'viewer' check (role in ('admin', 'staff', 'viewer')),
+  created_at timestamptz not null default now()
+);
+
+-- Rol elegido al invitar: se aplica (y se borra) cuando se crea la cuenta con
+-- ese correo, que ocurre al enviarle el enlace de acceso.
+create table if not exists public.user_invitations (
+  email text primary key check (email = lower(email)),
+  role text not null check (role in ('admin', 'staff', 'viewer')),
+  invited_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- Perfiles de los usuarios que ya existían: todos tenían acceso completo, así
+-- que quedan como staff y el más antiguo como admin. Revisar tras la migración.
+insert into public.profiles (id, email, role)
+select
+  id,
+  email,
+  case when row_number() over (order by created_at) = 1 then 'admin' else 'staff' end
+from auth.users
+on conflict (id) do nothing;
+
+-- Crea el perfil de cada usuario nuevo con el rol de su invitación (o viewer).
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invited_role text;
+begin
+  delete from public.user_invitations
+  where email = lower(new.email)
+  returning role into invited_role;
+
+  insert into public.profiles (id, email, role)
+  values (new.id, new.email, coalesce(invited_role, 'viewer'));
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Rol del usuario de la sesión. `security definer` evita que las políticas de
+-- `profiles` se consulten a sí mismas.
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.profiles where id = auth.uid();
+$$;
+
+-- Nunca puede quedar el sistema sin administradores.
+create or replace function public.prevent_last_admin_removal()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.role = 'admin'
+    and (tg_op = 'DELETE' or new.role <> 'admin')
+    and not exists (select 1 from public.profiles where role = 'admin' and id <> old.id) then
+    raise exception 'Debe quedar al menos un administrador.';
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists profiles_keep_one_admin on public.profiles;
+create trigger profiles_keep_one_admin
+  before update or delete on public.profiles
+  for each row execute function public.prevent_last_admin_removal();
+
+alter table public.profiles enable row level security;
+alter table public.user_invitations enable row level security;
+
+create policy "Cada usuario lee su perfil y el admin todos"
+  on public.profiles for select
+  to authenticated
+  using (id = auth.uid() or public.current_user_role() = 'admin');
+
+create policy "El admin cambia roles"
+  on public.profiles for update
+  to authenticated
+  using (public.current_user_role() = 'admin')
+  with check (public.current_user_role() = 'admin');
+
+create policy "El admin gestiona invitaciones"
+  on public.user_invitations for all
+  to authenticated
+  using (public.current_user_role() = 'admin')
+  with check (public.current_user_role() = 'admin');
+
+-- -----------------------------------------------------------------------------
+-- Productos: se reemplazan las políticas anteriores (que daban acceso completo
+-- a cualquier usuario autenticado) por políticas según el rol.
+-- -----------------------------------------------------------------------------
+
+alter table public.products enable row level security;
+
+do $$
+declare
+  policy record;
+begin
+  for policy in
+    select policyname from pg_policies where schemaname = 'public' and tablename = 'products'
+  loop
+    execute format('drop policy %I on public.products', policy.policyname);
+  end loop;
+end;
+$$;
+
+create policy "Usuarios con rol leen productos"
+  on public.products for select
+  to authenticated
+  using (public.current_user_role() is not null);
+
+create policy "Admin y staff crean productos"
+  on public.products for insert
+  to authenticated
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+-- Incluye enviar a la papelera y restaurar (`deleted_at`).
+create policy "Admin y staff modifican productos"
+  on public.products for update
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'))
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+create policy "Solo el admin elimina definitivamente"
+  on public.products for delete
+  to authenticated
+  using (public.current_user_role() = 'admin');
+
+-- Movimientos de stock, categorías, mínimos e imágenes: solo admin y staff escriben.
+-- Cada movimiento sigue quedando a nombre de quien lo registra.
+drop policy if exists "Usuarios autenticados registran movimientos" on public.stock_movements;
+create policy "Admin y staff registran movimientos"
+  on public.stock_movements for insert
+  to authenticated
+  with check (public.current_user_role() in ('admin', 'staff') and user_id = auth.uid());
+
+drop policy if exists "Usuarios autenticados gestionan categorías" on public.categories;
+create policy "Admin y staff gestionan categorías"
+  on public.categories for all
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'))
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+drop policy if exists "Usuarios autenticados gestionan umbrales" on public.category_stock_thresholds;
+create policy "Admin y staff gestionan umbrales"
+  on public.category_stock_thresholds for all
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'))
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+drop policy if exists "Usuarios autenticados suben imágenes de productos" on storage.objects;
+drop policy if exists "Usuarios autenticados actualizan imágenes de productos" on storage.objects;
+drop policy if exists "Usuarios autenticados borran imágenes de productos" on storage.objects;
+
+create policy "Admin y staff suben imágenes de productos"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'product-images' and public.current_user_role() in ('admin', 'staff'));
+
+create policy "Admin y staff actualizan imágenes de productos"
+  on storage.objects for update
+  to authenticated
+  using (bucket_id = 'product-images' and public.current_user_role() in ('admin', 'staff'));
+
+create policy "Admin y staff borran imágenes de productos"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'product-images' and public.current_user_role() in ('admin', 'staff'));
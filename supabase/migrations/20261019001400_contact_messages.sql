@@ -0,0 +1,49 @@
+-- -----------------------------------------------------------------------------
+-- Mensajes del formulario de contacto de la página principal.
+-- Cualquier visitante puede enviar un mensaje, pero solo admin y staff pueden
+-- leerlos y gestionarlos desde la bandeja de entrada del dashboard.
+-- -----------------------------------------------------------------------------
+
+create table if not exists public.contact_messages (
+  id bigint generated always as identity primary key,
+  name text not null check (length(trim(name)) between 2 and 50),
+  email text not null check (email ~* '^[^\s@]+@[^\s@]+\.[^\s@]+$' and length(email) <= 254),
+  message text not null check (length(trim(message)) between 10 and 1000),
+  status text not null default 'unread' check (status in ('unread', 'read', 'answered')),
+  archived_at timestamptz,
+  handled_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists contact_messages_inbox_idx
+  on public.contact_messages (archived_at, status, created_at desc);
+
+-- Reutiliza la función de `products` para mantener `updated_at`.
+drop trigger if exists contact_messages_set_updated_at on public.contact_messages;
+create trigger contact_messages_set_updated_at
+  before update on public.contact_messages
+  for each row execute function public.set_updated_at();
+
+alter table public.contact_messages enable row level security;
+
+-- Los visitantes solo pueden crear mensajes nuevos, nunca leerlos: por eso el
+-- formulario inserta sin pedir la fila de vuelta.
+create policy "Cualquiera envía mensajes de contacto"
+  on public.contact_messages for insert
+  to anon, authenticated
+  with check (status = 'unread' and archived_at is null and handled_by is null);
+
+create policy "Admin y staff leen los mensajes"
+  on public.contact_messages for select
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'));
+
+create policy "Admin y staff gestionan los mensajes"
+  on public.contact_messages for update
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'))
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+-- El contador de no leídos del dashboard se actualiza en tiempo real.
+alter publication supabase_realtime add table public.contact_messages;
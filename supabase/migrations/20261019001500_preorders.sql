@@ -0,0 +1,233 @@
+-- -----------------------------------------------------------------------------
+-- Pedidos anticipados para recoger en la tienda.
+-- Los clientes (sin cuenta) ven el catálogo y hacen su pedido desde la página
+-- principal; admin y staff siguen su estado desde el dashboard:
+-- recibido -> en el horno -> listo -> recogido.
+-- -----------------------------------------------------------------------------
+
+-- Catálogo público: solo los datos que puede ver un visitante. `security
+-- definer` porque los visitantes no tienen acceso directo a `products`.
+create or replace function public.catalogue_products()
+returns table (
+  id bigint,
+  name text,
+  category text,
+  price numeric,
+  image_path text,
+  stock integer
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id, name, category, price, image_path, stock
+  from public.products
+  where archived_at is null and deleted_at is null
+  order by category nulls last, name;
+$$;
+
+grant execute on function public.catalogue_products() to anon, authenticated;
+
+create table if not exists public.orders (
+  id bigint generated always as identity primary key,
+  customer_name text not null check (length(trim(customer_name)) between 2 and 50),
+  customer_email text not null check (customer_email ~* '^[^\s@]+@[^\s@]+\.[^\s@]+$'),
+  customer_phone text not null check (customer_phone ~ '^\+?[0-9\s()-]{7,20}$'),
+  pickup_date date not null,
+  -- Franjas de recogida; deben coincidir con `PICKUP_SLOTS` de Orders.js.
+  pickup_slot text not null check (pickup_slot in ('07:00-09:00', '09:00-11:00', '11:00-13:00', '15:00-17:00', '17:00-19:00')),
+  notes text check (length(notes) <= 500),
+  status text not null default 'received' check (status in ('received', 'baking', 'ready', 'picked_up', 'cancelled')),
+  status_changed_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- El nombre y el precio se copian al hacer el pedido, para que el pedido no
+-- cambie si después se edita o elimina el producto.
+create table if not exists public.order_items (
+  id bigint generated always as identity primary key,
+  order_id bigint not null references public.orders (id) on delete cascade,
+  product_id bigint references public.products (id) on delete set null,
+  product_name text not null,
+  unit_price numeric(12, 2),
+  quantity integer not null check (quantity between 1 and 50)
+);
+
+create index if not exists orders_pickup_idx on public.orders (pickup_date, pickup_slot);
+create index if not exists order_items_order_id_idx on public.order_items (order_id);
+
+drop trigger if exists orders_set_updated_at on public.orders;
+create trigger orders_set_updated_at
+  before update on public.orders
+  for each row execute function public.set_updated_at();
+
+create or replace function public.touch_order_status_changed_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is distinct from old.status then
+    new.status_changed_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_status_changed_at on public.orders;
+create trigger orders_status_changed_at
+  before update on public.orders
+  for each row execute function public.touch_order_status_changed_at();
+
+-- Crea un pedido con sus productos en una sola transacción. Comprueba que los
+-- productos sigan disponibles y con stock, y que la fecha de recogida esté
+-- entre hoy y dentro de 14 días (hora de Colombia). Cada producto se descuenta
+-- del stock con un movimiento `sale`, así el stock reservado deja de ofrecerse.
+-- Devuelve el número de pedido.
+-- `p_items` es un arreglo JSON de `{ "product_id": 1, "quantity": 2 }`.
+create or replace function public.place_order(
+  p_customer_name text,
+  p_customer_email text,
+  p_customer_phone text,
+  p_pickup_date date,
+  p_pickup_slot text,
+  p_notes text,
+  p_items jsonb
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  today date := (now() at time zone 'America/Bogota')::date;
+  new_order_id bigint;
+  item record;
+  product record;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'El pedido no tiene productos.';
+  end if;
+
+  if jsonb_array_length(p_items) > 30 then
+    raise exception 'El pedido tiene demasiados productos.';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(p_items)
+    where value ->> 'product_id' is null
+       or value ->> 'quantity' is null
+       or (value ->> 'quantity')::integer < 1
+  ) then
+    raise exception 'Cada producto del pedido necesita una cantidad válida.';
+  end if;
+
+  if p_pickup_date < today or p_pickup_date > today + 14 then
+    raise exception 'La fecha de recogida debe estar entre hoy y los próximos 14 días.';
+  end if;
+
+  insert into public.orders (customer_name, customer_email, customer_phone, pickup_date, pickup_slot, notes)
+  values (trim(p_customer_name), lower(trim(p_customer_email)), trim(p_customer_phone),
+          p_pickup_date, p_pickup_slot, nullif(trim(p_notes), ''))
+  returning id into new_order_id;
+
+  -- Se suman las líneas del mismo producto para comparar el total con el stock.
+  for item in
+    select (value ->> 'product_id')::bigint as product_id, sum((value ->> 'quantity')::integer) as quantity
+    from jsonb_array_elements(p_items)
+    group by 1
+  loop
+    -- `for update` bloquea el producto hasta el final de la transacción, para
+    -- que dos pedidos simultáneos no pasen la comprobación con el mismo stock.
+    select id, name, price, stock into product
+    from public.products
+    where id = item.product_id and archived_at is null and deleted_at is null
+    for update;
+
+    if not found then
+      raise exception 'Uno de los productos ya no está disponible.';
+    end if;
+
+    -- Mismo límite que `order_items.quantity`, con un mensaje que el cliente entienda.
+    if item.quantity > 50 then
+      raise exception 'Puedes pedir como máximo 50 unidades de "%".', product.name;
+    end if;
+
+    if product.stock < item.quantity then
+      raise exception 'No hay suficiente stock de "%".', product.name;
+    end if;
+
+    insert into public.order_items (order_id, product_id, product_name, unit_price, quantity)
+    values (new_order_id, product.id, product.name, product.price, item.quantity);
+
+    insert into public.stock_movements (product_id, reason, quantity, note)
+    values (product.id, 'sale', -item.quantity, format('Pedido #%s', new_order_id));
+  end loop;
+
+  return new_order_id;
+end;
+$$;
+
+grant execute on function public.place_order(text, text, text, date, text, text, jsonb) to anon, authenticated;
+
+-- Al cancelar un pedido su stock vuelve al inventario con una corrección; si se
+-- reabre, se vuelve a descontar (y falla si ya no hay stock suficiente).
+create or replace function public.restock_cancelled_order()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  direction integer;
+begin
+  if new.status = 'cancelled' and old.status <> 'cancelled' then
+    direction := 1;
+  elsif old.status = 'cancelled' and new.status <> 'cancelled' then
+    direction := -1;
+  else
+    return new;
+  end if;
+
+  insert into public.stock_movements (product_id, reason, quantity, note)
+  select product_id,
+         case when direction = 1 then 'correction' else 'sale' end,
+         direction * sum(quantity),
+         format(case when direction = 1 then 'Pedido #%s cancelado' else 'Pedido #%s reabierto' end, new.id)
+  from public.order_items
+  where order_id = new.id and product_id is not null
+  group by product_id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_restock_cancelled on public.orders;
+create trigger orders_restock_cancelled
+  after update of status on public.orders
+  for each row execute function public.restock_cancelled_order();
+
+alter table public.orders enable row level security;
+alter table public.order_items enable row level security;
+
+-- Los pedidos solo se crean con `place_order`; no hay política de insert.
+create policy "Admin y staff leen los pedidos"
+  on public.orders for select
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'));
+
+create policy "Admin y staff cambian el estado de los pedidos"
+  on public.orders for update
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'))
+  with check (public.current_user_role() in ('admin', 'staff'));
+
+create policy "Admin y staff leen los productos de los pedidos"
+  on public.order_items for select
+  to authenticated
+  using (public.current_user_role() in ('admin', 'staff'));
+
+-- Los pedidos nuevos aparecen en el dashboard sin recargar.
+alter publication supabase_realtime add table public.orders;
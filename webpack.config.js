@@ -9,6 +9,8 @@ module.exports = (env, argv) => {
       main: './src/js/index.js',
       login: './src/js/login.js',
       register: './src/js/register.js',
+      'reset-password': './src/js/reset-password.js',
+      'auth-callback': './src/js/auth-callback.js',
       dashboard: './src/js/dashboard.js'
     },
     output: {
@@ -91,6 +93,40 @@ module.exports = (env, argv) => {
           minifyURLs: true,
         } : false,
       }),
+      new HtmlWebpackPlugin({
+        template: './src/reset-password.html',
+        filename: 'reset-password.html',
+        chunks: ['reset-password'],
+        minify: isProduction ? {
+          removeComments: true,
+          collapseWhitespace: true,
+          removeRedundantAttributes: true,
+          useShortDoctype: true,
+          removeEmptyAttributes: true,
+          removeStyleLinkTypeAttributes: true,
+          keepClosingSlash: true,
+          minifyJS: true,
+          minifyCSS: true,
+          minifyURLs: true,
+        } : false,
+      }),
+      new HtmlWebpackPlugin({
+        template: './src/auth-callback.html',
+        filename: 'auth-callback.html',
+        chunks: ['auth-callback'],
+        minify: isProduction ? {
+          removeComments: true,
+          collapseWhitespace: true,
+          removeRedundantAttributes: true,
+          useShortDoctype: true,
+          removeEmptyAttributes: true,
+          removeStyleLinkTypeAttributes: true,
+          keepClosingSlash: true,
+          minifyJS: true,
+          minifyCSS: true,
+          minifyURLs: true,
+        } : false,
+      }),
       new HtmlWebpackPlugin({
       template: './src/dashboard.html',
       filename: 'dashboard.html',